@@ -1,20 +1,61 @@
 /* State and utilities */
 const STATE = {
-  slots: [],        // {id, type, occupied, vehicle:{number, owner, type}, entryTime}
-  history: [],      // {vehicleNumber, owner, type, slotId, entryTime, exitTime, durationMs, fee}
+  slots: [],        // {id, type, level, zone, row, maintenance, occupied, vehicle:{number, owner, type}, entryTime, parkedBy, ticket}
+  layout: {         // names and order of levels/zones; rows and slots live on the slots themselves
+    levels: [{ id: 'L1', name: 'Level 1', zones: [{ id: 'A', name: 'Zone A' }] }],
+    nextSlotId: 1,  // never decremented, so a deleted slot's id is not given to a new slot
+  },
+  history: [],      // {id, vehicleNumber, owner, type, slotId, ticketId, lostTicket, entryTime, exitTime, durationMs, fee, feeLines, entryBy, exitBy, payment?, invoice?, noShow?}
+  reservations: [], // {id, vehicleNumber, owner, type, slotId, from, to, status, createdAt}
+  invoiceSeq: { year: new Date().getFullYear(), next: 1 }, // never decremented, so numbers are not reused
+  passes: [],       // {id, vehicleNumber, owner, type, validFrom, validTo, slotId, discountPct, status, issuedAt}
+  users: [],        // {id, name, role, salt, pinHash, active, createdAt}
+  shifts: [],       // {id, userId, userName, openedAt, openingFloat, closedAt?, declaredCash?, expectedCash?, note?}
+  alerts: {},       // alert key -> {ackedAt?, ackedBy?, snoozedUntil?}; entries go once the alert clears
+  watchlist: [],    // {id, vehicleNumber, kind, reason, expiresAt, addedAt, addedBy, matches?, lastMatchAt?, removedAt?}
   config: {
-    totalSlots: 48, // tweak capacity
+    totalSlots: 48, // capacity of a fresh install; edit the layout afterwards
     typesByRow: ['car','bike','truck'], // for color-coding layout variety
-    fee: { baseMinutes: 30, basePrice: 20, hourlyAfter: 50 },
+    slotsPerRow: 12,
+    tariff: {
+      graceMinutes: 0,  // free minutes deducted at exit
+      rates: {          // per vehicle type; dailyCap 0 = no cap
+        car:   { baseMinutes: 30, basePrice: 20, hourly: 50, dailyCap: 0 },
+        bike:  { baseMinutes: 30, basePrice: 20, hourly: 50, dailyCap: 0 },
+        truck: { baseMinutes: 30, basePrice: 20, hourly: 50, dailyCap: 0 },
+      },
+      bands: [],        // {name, days:[0-6], start:'22:00', end:'06:00', multiplier}
+    },
+    allocation: { strategy: 'lowest-id', strictType: false, entrance: { level: 'L1', zone: 'A', row: 1 } },
+    reservations: { holdBeforeMinutes: 30, graceMinutes: 15, noShowFee: 50 },
+    passes: { expiringDays: 7 },
+    plates: { formats: ['in-state', 'in-bh', 'in-temp', 'in-diplomatic'] }, // accepted PLATE_FORMATS, tried in this order
+    tickets: { lostFee: 200 }, // penalty before tax when a vehicle leaves without its gate ticket
+    alerts: {
+      maxStayHours: { car: 12, bike: 12, truck: 24 }, // 0 = no limit
+      capacity: [{ scope: 'lot', value: '', pct: 95 }], // scope: lot, type (slot type) or zone ('L1/A')
+      typeMismatch: true, // vehicle in a slot type that does not accept it
+      snoozeMinutes: 30,
+      browserNotifications: false,
+    },
+    sync: { serverUrl: '' }, // optional WebSocket relay shared by several gate terminals
+    lot: { name: 'Smart Parking', operator: '', gstin: '', address: '', phone: '' }, // printed on invoices and exports
+    invoice: {
+      prefix: 'INV',
+      series: '',             // this terminal's code in every number; each terminal on a sync relay needs its own
+      yearlyReset: true,      // numbering restarts at 1 each calendar year
+      pricesIncludeTax: true, // tariff amounts already include the taxes below
+      taxes: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }],
+    },
   },
   theme: 'dark',
-  timers: {},       // slotId -> interval
 };
 
 const qs = sel => document.querySelector(sel);
 const qsa = sel => Array.from(document.querySelectorAll(sel));
 const fmtTime = ts => new Date(ts).toLocaleString();
 const pad2 = n => n.toString().padStart(2,'0');
+const uid = prefix => `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2,6)}`.toUpperCase();
 const fmtDuration = ms => {
   const t = Math.max(0, ms);
   const h = Math.floor(t / 3600000);
@@ -22,76 +63,1158 @@ const fmtDuration = ms => {
   const s = Math.floor((t % 60000) / 1000);
   return `${pad2(h)}h ${pad2(m)}m ${pad2(s)}s`;
 };
-/* Fee: First 30 min = ₹20. After 30 min = ₹50/hour, rounded up */
-const computeFee = ms => {
-  const { baseMinutes, basePrice, hourlyAfter } = STATE.config.fee;
-  const minutes = Math.ceil(ms / 60000);
-  if (minutes <= baseMinutes) return basePrice;
-  const extraMinutes = minutes - baseMinutes;
-  const extraHoursRoundedUp = Math.ceil(extraMinutes / 60);
-  return basePrice + extraHoursRoundedUp * hourlyAfter;
+const MINUTE = 60000, HOUR = 3600000;
+const WEEKDAYS = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
+
+/* Core
+   Tariff, allocation, pass and reservation rules, invoice numbers, entry, exit and stats
+   live in core.js, which has no DOM and runs under Node too. The app binds one core to
+   STATE; slot claims go through updateSlotIfUnchanged so they also hit storage and the
+   sync relay. */
+const parking = createParkingCore(STATE, {
+  claimSlot: (slot, expectEntry, changes) => updateSlotIfUnchanged(slot.id, expectEntry, changes),
+  reserveInvoiceNo: next => reserveInvoiceNo(next),
+});
+const {
+  quoteFee, reservationHolds, isReserved, activeReservationFor, passValid, passFor, isDedicated,
+  ALLOCATION_STRATEGIES, freeSlots, allocateSlot, taxBreakdown, issueInvoice, isVoided, feeTotal, typeCounts, revenueByDay,
+} = parking;
+
+/* Persistence
+   IndexedDB database with a store per list keyed by id (slots, history, shifts,
+   reservations, passes, watchlist; history is indexed by entry/exit time and vehicle
+   number) and a `config` store holding every other STATE section as {key, value}. STATE
+   stays the in-memory copy: save() queues a write of only the records that changed since
+   the last one, and storage failures are reported rather than dropped.
+   Each save() that changed something also appends an entry to the `audit` store (see Audit log). */
+const DB_NAME = 'smart-parking';
+// Lists kept one record per id, so tabs changing different entries never overwrite each other
+const RECORD_STORES = ['slots', 'history', 'shifts', 'reservations', 'passes', 'watchlist'];
+const DB_STORES = [...RECORD_STORES, 'config'];
+const AUDIT_STORE = 'audit';
+const LEGACY_KEY = 'parkingData';
+
+// STATE as a fresh install starts, taken before anything is loaded
+const initialState = JSON.stringify(STATE);
+// Replace the app data with a saved copy. Every section starts from its default, so sections
+// the copy lacks are reset instead of kept; config sections it lacks keep their defaults.
+const applySaved = data => {
+  const fresh = JSON.parse(initialState);
+  Object.assign(STATE, fresh, data, { config: { ...fresh.config, ...data.config } });
+  migrate();
+};
+const ensureHistoryIds = history => history.forEach((h, i) => { if (!h.id) h.id = `H${h.exitTime.toString(36)}${i}`.toUpperCase(); });
+// Bring data saved by older versions up to the current config shape
+const migrate = () => {
+  const cfg = STATE.config;
+  if (cfg.fee) {
+    const { baseMinutes = 30, basePrice = 20, hourlyAfter = 50 } = cfg.fee || {};
+    const rate = () => ({ baseMinutes, basePrice, hourly: hourlyAfter, dailyCap: 0 });
+    cfg.tariff = { graceMinutes: 0, rates: { car: rate(), bike: rate(), truck: rate() }, bands: [] };
+    delete cfg.fee;
+  }
+  ensureHistoryIds(STATE.history);
+  // invoices voided while a void zeroed the visit's fee get the fee back from the invoice
+  STATE.history.forEach(h => { if (isVoided(h) && h.fee === 0) h.fee = h.invoice.total; });
+  cfg.lot = { operator: '', gstin: '', ...cfg.lot };
+  cfg.invoice = { series: '', ...cfg.invoice };
+  // flat slots from before levels/zones go to the first zone, rows of slotsPerRow
+  const [level] = STATE.layout.levels;
+  STATE.slots.forEach(s => {
+    if (s.level) return;
+    Object.assign(s, { level: level.id, zone: level.zones[0].id, row: `R${Math.ceil(s.id / cfg.slotsPerRow)}`, maintenance: false });
+  });
+  // layouts from before the slot id counter continue after every id a slot or visit has used
+  const usedIds = [...STATE.slots.map(s => s.id), ...STATE.history.map(h => h.slotId)].filter(Number.isFinite);
+  STATE.layout.nextSlotId = usedIds.reduce((next, id) => Math.max(next, id + 1), STATE.layout.nextSlotId || 1);
+  // backups from before plate formats may hold the same number typed several ways
+  STATE.slots.forEach(s => { if (s.vehicle) s.vehicle.number = formatPlate(s.vehicle.number); });
+  [STATE.history, STATE.reservations, STATE.passes, STATE.watchlist].forEach(list => list.forEach(r => { r.vehicleNumber = formatPlate(r.vehicleNumber); }));
+  // watchlist entries saved while expiry was optional get the default term from when they were added
+  STATE.watchlist.forEach(w => { if (!w.expiresAt) w.expiresAt = w.addedAt + WATCHLIST_DEFAULT_DAYS * 24 * HOUR; });
+};
+const persistedState = () => ({ ...STATE });
+
+const reportStorageError = (what, err) => {
+  toast(`${what}: ${err?.message || err}`, 'error');
+};
+const idbRequest = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+const idbDone = tx => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+/* Schema versions. DB_MIGRATIONS[n] upgrades a database at version n to n + 1 inside the
+   upgrade transaction; the database version is the length of this list. */
+const DB_MIGRATIONS = [
+  // 0 → 1: stores and indexes, then the single localStorage blob used before IndexedDB
+  (db, tx) => {
+    db.createObjectStore('slots', { keyPath: 'id' });
+    const history = db.createObjectStore('history', { keyPath: 'id' });
+    history.createIndex('entryTime', 'entryTime');
+    history.createIndex('exitTime', 'exitTime');
+    history.createIndex('vehicleNumber', 'vehicleNumber');
+    db.createObjectStore('config', { keyPath: 'key' });
+
+    const legacy = localStorage.getItem(LEGACY_KEY);
+    if (!legacy) return;
+    let data;
+    try {
+      data = JSON.parse(legacy);
+    } catch (err) {
+      // keep the unreadable copy for manual recovery instead of deleting it
+      localStorage.setItem(`${LEGACY_KEY}.unreadable`, legacy);
+      localStorage.removeItem(LEGACY_KEY);
+      reportStorageError('Saved data could not be read and was set aside', err);
+      return;
+    }
+    if (!data.slots || !data.history) return;
+    const { slots, history: rows, ...rest } = data;
+    ensureHistoryIds(rows);
+    slots.forEach(s => tx.objectStore('slots').put(s));
+    rows.forEach(h => tx.objectStore('history').put(h));
+    Object.entries(rest).forEach(([key, value]) => tx.objectStore('config').put({ key, value }));
+    tx.addEventListener('complete', () => localStorage.removeItem(LEGACY_KEY));
+  },
+  // 1 → 2: append-only audit log
+  db => {
+    const audit = db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+    audit.createIndex('at', 'at');
+    audit.createIndex('action', 'action');
+  },
+  // 2 → 3: vehicle numbers in their plate format's layout (see PLATE_FORMATS), so lookups
+  // match however the number was typed
+  (db, tx) => {
+    const canonical = (record, field) => {
+      const number = record[field] && formatPlate(record[field]);
+      if (!number || number === record[field]) return false;
+      record[field] = number;
+      return true;
+    };
+    const rewrite = (name, fix) => {
+      tx.objectStore(name).openCursor().onsuccess = e => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (fix(cursor.value)) cursor.update(cursor.value);
+        cursor.continue();
+      };
+    };
+    rewrite('slots', s => !!s.vehicle && canonical(s.vehicle, 'number'));
+    rewrite('history', h => canonical(h, 'vehicleNumber'));
+    rewrite('config', r => ['reservations', 'passes'].includes(r.key)
+      && r.value.map(x => canonical(x, 'vehicleNumber')).some(Boolean));
+  },
+  // 3 → 4: shifts, reservations, passes and watchlist move out of their whole-list config
+  // records into stores keyed by id
+  (db, tx) => {
+    const config = tx.objectStore('config');
+    ['shifts', 'reservations', 'passes', 'watchlist'].forEach(name => {
+      const store = db.createObjectStore(name, { keyPath: 'id' });
+      config.get(name).onsuccess = e => {
+        if (!e.target.result) return;
+        e.target.result.value.forEach(rec => store.put(rec));
+        config.delete(name);
+      };
+    });
+  },
+];
+
+let db = null;
+const openDB = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, DB_MIGRATIONS.length);
+  req.onupgradeneeded = e => {
+    for (let v = e.oldVersion; v < DB_MIGRATIONS.length; v++) DB_MIGRATIONS[v](req.result, req.transaction);
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+  req.onblocked = () => reject(new Error('Close other tabs of the app to finish the storage upgrade'));
+});
+
+// Last written JSON per store and key, so save() can skip unchanged records
+const storedJson = Object.fromEntries(DB_STORES.map(name => [name, new Map()]));
+/* Slots and history are not serialised again on every save. Their records are compared only
+   when new, replaced by another object, or marked with touchRecord() after an in-place
+   change; the other stores stay small and are compared in full. */
+const TRACKED_STORES = ['slots', 'history'];
+const writtenRecords = Object.fromEntries(TRACKED_STORES.map(name => [name, new Map()])); // key → object last written
+const touchedKeys = Object.fromEntries(TRACKED_STORES.map(name => [name, new Set()]));
+const touchRecord = (name, key) => touchedKeys[name].add(key);
+const rememberStored = (name, key, value) => {
+  storedJson[name].set(key, JSON.stringify(value));
+  writtenRecords[name]?.set(key, value);
+};
+const storeRecords = () => {
+  const data = persistedState();
+  const records = Object.fromEntries(RECORD_STORES.map(name => [name, data[name].map(rec => [rec.id, rec])]));
+  records.config = Object.entries(data).filter(([key]) => !RECORD_STORES.includes(key)).map(([key, value]) => [key, { key, value }]);
+  return records;
 };
 
-/* Persistence */
-const load = () => {
+const load = async () => {
   try {
-    const data = JSON.parse(localStorage.getItem('parkingData') || '{}');
-    if (data.slots && data.history) {
-      Object.assign(STATE, data, { timers: {} }); // clear timers on load
+    db = await openDB();
+    const tx = db.transaction(DB_STORES);
+    const [config, ...lists] = await Promise.all(['config', ...RECORD_STORES].map(name => idbRequest(tx.objectStore(name).getAll())));
+    if (!config.length) return;
+    const data = Object.fromEntries(config.map(r => [r.key, r.value]));
+    RECORD_STORES.forEach((name, i) => { data[name] = lists[i]; });
+    data.history.sort((a,b) => b.exitTime - a.exitTime);
+    applySaved(data);
+    Object.entries(storeRecords()).forEach(([name, records]) => {
+      records.forEach(([key, value]) => rememberStored(name, key, value));
+    });
+  } catch (err) {
+    reportStorageError('Could not open storage, changes will not be saved', err);
+  }
+};
+
+// Records changed since the last call, as store operations plus the audit before/after of each
+const collectChanges = () => {
+  const ops = [];
+  const logged = unloggedChanges.splice(0);
+  const snapshot = (name, json) => json === undefined ? null : name === 'config' ? JSON.parse(json).value : JSON.parse(json);
+  Object.entries(storeRecords()).forEach(([name, records]) => {
+    const known = storedJson[name];
+    const written = writtenRecords[name], touched = touchedKeys[name];
+    const current = new Set();
+    records.forEach(([key, value]) => {
+      current.add(key);
+      if (written?.get(key) === value && !touched.has(key) && known.has(key)) return;
+      written?.set(key, value);
+      const json = JSON.stringify(value);
+      if (known.get(key) === json) return;
+      ops.push({ store: name, key, value });
+      logged.push({ store: name, key, before: snapshot(name, known.get(key)), after: snapshot(name, json) });
+      known.set(key, json);
+    });
+    [...known.keys()].filter(key => !current.has(key)).forEach(key => {
+      ops.push({ store: name, key, value: null });
+      logged.push({ store: name, key, before: snapshot(name, known.get(key)), after: null });
+      known.delete(key);
+      written?.delete(key);
+    });
+    touched?.clear();
+  });
+  return { ops, logged };
+};
+
+// One transaction for the batch, with an audit entry per labelled set of changes
+const writeChanges = batch => {
+  const tx = db.transaction([...DB_STORES, AUDIT_STORE], 'readwrite');
+  const latest = Object.fromEntries(DB_STORES.map(name => [name, new Map()]));
+  batch.forEach(({ label, ops, logged }) => {
+    ops.forEach(({ store, key, value }) => {
+      if (value) tx.objectStore(store).put(value);
+      else tx.objectStore(store).delete(key);
+      latest[store].set(key, value);
+    });
+    if (logged.length) {
+      tx.objectStore(AUDIT_STORE).put({ id: uid('A'), at: Date.now(), actor: staffRef(), ...label, changes: logged.map(redactChange) });
     }
-  } catch {}
+  });
+  const changes = { put: {}, remove: {} };
+  Object.entries(latest).forEach(([name, records]) => {
+    const entries = [...records];
+    const put = entries.filter(([, value]) => value).map(([, value]) => value);
+    const remove = entries.filter(([, value]) => !value).map(([key]) => key);
+    if (put.length) changes.put[name] = put;
+    if (remove.length) changes.remove[name] = remove;
+  });
+  return idbDone(tx).then(() => changes);
+};
+
+let saveQueued = false;
+const pendingSaves = [];
+/* Each call records the changes made since the previous one under its own label, so
+   several saves in one task become separate audit entries written in a single
+   transaction. `action` names what happened for the audit log (see AUDIT_ACTIONS);
+   detail may carry a target (vehicle, invoice, ...), a note and a ref used by undo. */
+const save = (action = 'update', detail = {}) => {
+  if (!db) return;
+  pendingSaves.push({ label: { action, ...detail }, ...collectChanges() });
+  if (saveQueued) return;
+  saveQueued = true;
+  queueMicrotask(() => {
+    saveQueued = false;
+    const batch = pendingSaves.splice(0);
+    // anything changed after the last call in this task belongs to that call
+    const late = collectChanges();
+    batch.at(-1).ops.push(...late.ops);
+    batch.at(-1).logged.push(...late.logged);
+    writeChanges(batch).then(publishChanges).catch(err => {
+      // forget what was written so the next save rewrites everything
+      DB_STORES.forEach(name => storedJson[name].clear());
+      reportStorageError('Saving failed', err);
+    });
+  });
+};
+
+/* Live sync
+   Other tabs of this browser hear about every committed write over a BroadcastChannel
+   (storage events where that is missing) and apply it to their STATE. Terminals on other
+   machines can share a WebSocket relay (sync-server.js). Parking and checking out are a
+   compare-and-set on the slot's entryTime, first in IndexedDB and then on the relay, so
+   two terminals can never fill or empty the same slot.
+   Only slot and visit records leave this browser. Config stays on the terminal that wrote it,
+   and staff accounts (which hold PIN hashes) are not even posted to other tabs: they are told
+   to read them back from the database they share. */
+const TAB_ID = uid('T');
+const SYNC_CHANNEL = 'smart-parking-sync';
+// Pages that re-render when another terminal changes something
+const LIVE_ROUTES = ['/', '/dashboard', '/history', '/reservations', '/passes', '/watchlist', '/layout', '/vehicle', '/analytics'];
+let syncChannel = null;
+let syncSocket = null;
+let syncStatus = 'off'; // off | connecting | connected | disconnected
+const pendingClaims = new Map(); // claim ref → resolve
+const socketOpen = () => !!syncSocket && syncSocket.readyState === WebSocket.OPEN;
+const RELAY_STORES = ['slots', 'history'];
+const noChanges = ({ put = {}, remove = {} }) => !Object.keys(put).length && !Object.keys(remove).length;
+// The part of a change set other terminals may see
+const relayable = ({ put = {}, remove = {} }) => {
+  const pick = byStore => Object.fromEntries(Object.entries(byStore).filter(([name]) => RELAY_STORES.includes(name)));
+  return { put: pick(put), remove: pick(remove) };
+};
+// The part other tabs may see; a change to the staff accounts becomes a flag
+const forTabs = ({ put = {}, remove = {} }) => {
+  const { config = [], ...stores } = put;
+  const shared = config.filter(r => r.key !== 'users');
+  return {
+    put: shared.length ? { ...stores, config: shared } : stores,
+    remove,
+    usersChanged: config.length > shared.length,
+  };
+};
+// Staff accounts changed in another tab: take them from the database, not the message
+const reloadUsers = () => {
+  if (!db) return;
+  idbRequest(db.transaction('config').objectStore('config').get('users')).then(rec => {
+    STATE.users = rec?.value || [];
+    rememberStored('config', 'users', { key: 'users', value: STATE.users });
+    restoreSession();
+    if (currentPath() === '/users' && qs('#modal').classList.contains('hidden')) navigate('/users');
+  }).catch(err => reportStorageError('Could not read staff accounts', err));
+};
+
+// Apply records written elsewhere; they are remembered as stored so save() does not echo them
+const applyChanges = ({ put = {}, remove = {}, usersChanged = false }) => {
+  (put.slots || []).forEach(rec => {
+    const slot = STATE.slots.find(s => s.id === rec.id);
+    if (slot) Object.assign(slot, rec);
+    else STATE.slots.push(rec);
+  });
+  (put.history || []).forEach(rec => {
+    const i = STATE.history.findIndex(h => h.id === rec.id);
+    if (i >= 0) STATE.history[i] = rec;
+    else STATE.history.push(rec);
+  });
+  if (put.history) STATE.history.sort((a,b) => b.exitTime - a.exitTime);
+  ['shifts', 'reservations', 'passes', 'watchlist'].forEach(name => {
+    (put[name] || []).forEach(rec => {
+      const i = STATE[name].findIndex(r => r.id === rec.id);
+      if (i >= 0) STATE[name][i] = rec;
+      else STATE[name].push(rec);
+    });
+    if (remove[name]) STATE[name] = STATE[name].filter(r => !remove[name].includes(r.id));
+  });
+  (put.config || []).forEach(({ key, value }) => { STATE[key] = value; });
+  if (usersChanged) reloadUsers();
+  if (remove.slots) STATE.slots = STATE.slots.filter(s => !remove.slots.includes(s.id));
+  if (remove.history) STATE.history = STATE.history.filter(h => !remove.history.includes(h.id));
+
+  const records = storeRecords();
+  Object.entries(put).forEach(([name, list]) => list.forEach(rec => {
+    const key = name === 'config' ? rec.key : rec.id;
+    const local = records[name].find(([k]) => k === key);
+    if (local) rememberStored(name, key, local[1]);
+  }));
+  Object.entries(remove).forEach(([name, keys]) => keys.forEach(key => storedJson[name].delete(key)));
+
+  updateAlertBell();
+  if (!qs('#modal').classList.contains('hidden') || !LIVE_ROUTES.includes(currentPath())) return;
+  // slot changes only swap their cards on the dashboard
+  const slotsOnly = !put.config?.some(r => r.key === 'layout') && !remove.slots;
+  if (!(slotsOnly && patchDashboard((put.slots || []).map(s => s.id)))) navigate(currentPath());
+};
+
+// Changes from the relay are not in this browser's database yet; anything but slots and
+// visits is dropped
+const storeRemote = received => {
+  const changes = relayable(received);
+  if (noChanges(changes)) return;
+  applyChanges(changes);
+  if (!db) return;
+  const tx = db.transaction(DB_STORES, 'readwrite');
+  Object.entries(changes.put || {}).forEach(([name, list]) => list.forEach(rec => tx.objectStore(name).put(rec)));
+  Object.entries(changes.remove || {}).forEach(([name, keys]) => keys.forEach(key => tx.objectStore(name).delete(key)));
+  idbDone(tx).then(() => publishChanges(changes, { server: false }))
+    .catch(err => reportStorageError('Saving synced changes failed', err));
+};
+
+const publishChanges = (changes, { server = true } = {}) => {
+  if (noChanges(changes)) return;
+  const msg = { from: TAB_ID, changes: forTabs(changes) };
+  if (syncChannel) syncChannel.postMessage(msg);
+  else localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ ...msg, at: Date.now() }));
+  const relayed = relayable(changes);
+  if (server && socketOpen() && !noChanges(relayed)) syncSocket.send(JSON.stringify({ type: 'changes', changes: relayed }));
+};
+
+// A relay that does not answer in time has not confirmed the claim, so it counts as failed.
+// Should it grant the claim later after all, the slot is handed back as it was.
+const claimOnServer = (slotId, expectEntry, slot, previous) => new Promise(resolve => {
+  if (!socketOpen()) return resolve({ ok: true });
+  const ref = uid('C');
+  const timer = setTimeout(() => {
+    pendingClaims.set(ref, reply => {
+      pendingClaims.delete(ref);
+      if (reply.ok && socketOpen()) syncSocket.send(JSON.stringify({ type: 'claim', ref: uid('C'), slotId, expect: slot.entryTime ?? null, slot: previous }));
+    });
+    resolve({ ok: false, timedOut: true });
+  }, 3000);
+  pendingClaims.set(ref, reply => { clearTimeout(timer); pendingClaims.delete(ref); resolve(reply); });
+  syncSocket.send(JSON.stringify({ type: 'claim', ref, slotId, expect: expectEntry, slot }));
+});
+
+const claimInDB = (slotId, expectEntry, updated) => new Promise((resolve, reject) => {
+  if (!db) return resolve({ ok: true });
+  const tx = db.transaction('slots', 'readwrite');
+  const store = tx.objectStore('slots');
+  let result;
+  store.get(slotId).onsuccess = e => {
+    const current = e.target.result;
+    if (current && (current.entryTime ?? null) !== expectEntry) { result = { ok: false, slot: current }; return; }
+    store.put(updated);
+    result = { ok: true };
+  };
+  tx.oncomplete = () => resolve(result);
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+// Take the next invoice number inside one transaction on the stored sequence, so two tabs
+// never issue the same number; the other tabs get the new sequence with the next save
+const reserveInvoiceNo = next => new Promise(resolve => {
+  if (!db) return resolve(next());
+  const tx = db.transaction('config', 'readwrite');
+  const store = tx.objectStore('config');
+  let no = null;
+  store.get('invoiceSeq').onsuccess = e => {
+    if (e.target.result) STATE.invoiceSeq = e.target.result.value;
+    no = next();
+    store.put({ key: 'invoiceSeq', value: STATE.invoiceSeq });
+  };
+  tx.oncomplete = () => {
+    rememberStored('config', 'invoiceSeq', { key: 'invoiceSeq', value: STATE.invoiceSeq });
+    publishChanges({ put: { config: [{ key: 'invoiceSeq', value: STATE.invoiceSeq }] } });
+    resolve(no);
+  };
+  // the visit is already checked out, so it still gets a number from this tab's sequence
+  tx.onerror = tx.onabort = () => {
+    reportStorageError('Could not reserve the invoice number', tx.error);
+    resolve(no ?? next());
+  };
+});
+/* Change a slot only if its entryTime is still `expectEntry` (null for a free slot).
+   Resolves false, with the slot refreshed to the winning terminal's copy, when another
+   terminal changed it first. */
+const updateSlotIfUnchanged = async (slotId, expectEntry, changes) => {
+  const slot = STATE.slots.find(s => s.id === slotId);
+  if ((slot.entryTime ?? null) !== expectEntry) return false;
+  const updated = { ...slot, ...changes };
+  try {
+    const local = await claimInDB(slotId, expectEntry, updated);
+    if (!local.ok) { applyChanges({ put: { slots: [local.slot] } }); return false; }
+  } catch (err) {
+    reportStorageError('Could not update the slot', err);
+    return false;
+  }
+  const remote = await claimOnServer(slotId, expectEntry, updated, { ...slot });
+  if (remote.timedOut) {
+    await claimInDB(slotId, updated.entryTime ?? null, { ...slot }).catch(err => reportStorageError('Could not update the slot', err));
+    throw new ParkingError('unconfirmed', 'The sync server did not answer, so nothing was changed. Try again.');
+  }
+  if (!remote.ok) { storeRemote({ put: { slots: [remote.slot] } }); return false; }
+  const before = storedJson.slots.get(slotId);
+  Object.assign(slot, updated);
+  rememberStored('slots', slotId, slot);
+  unloggedChanges.push({ store: 'slots', key: slotId, before: before ? JSON.parse(before) : null, after: JSON.parse(JSON.stringify(slot)) });
+  publishChanges({ put: { slots: [slot] } }, { server: false }); // the relay already told the others
+  return true;
+};
+
+const setSyncStatus = status => {
+  syncStatus = status;
+  const el = qs('#syncStatus');
+  if (el) el.textContent = cap(status);
+};
+
+const connectSyncServer = () => {
+  if (syncSocket) { syncSocket.onclose = null; syncSocket.close(); syncSocket = null; }
+  const url = STATE.config.sync.serverUrl;
+  if (!url || typeof WebSocket === 'undefined') { setSyncStatus('off'); return; }
+  setSyncStatus('connecting');
+  let socket;
+  try {
+    socket = new WebSocket(url);
+  } catch (err) {
+    reportStorageError('Sync server address is not valid', err);
+    setSyncStatus('off');
+    return;
+  }
+  syncSocket = socket;
+  socket.onopen = () => {
+    setSyncStatus('connected');
+    socket.send(JSON.stringify({ type: 'hello', slots: STATE.slots }));
+  };
+  socket.onmessage = e => {
+    let msg;
+    try { msg = JSON.parse(e.data); } catch { return; }
+    if (msg.type === 'claim-result') pendingClaims.get(msg.ref)?.(msg);
+    else if (msg.type === 'snapshot') {
+      // the relay's copy wins for slots that differ, so every terminal shows the same lot
+      const differ = msg.slots.filter(rec => JSON.stringify(STATE.slots.find(s => s.id === rec.id)) !== JSON.stringify(rec));
+      if (differ.length) storeRemote({ put: { slots: differ }, remove: {} });
+    } else if (msg.type === 'changes') storeRemote(msg.changes);
+  };
+  socket.onclose = () => {
+    setSyncStatus('disconnected');
+    // retry while the same address is configured
+    setTimeout(() => { if (syncSocket === socket && STATE.config.sync.serverUrl === url) connectSyncServer(); }, 5000);
+  };
 };
-const save = () => {
-  const { timers, ...persist } = STATE;
-  localStorage.setItem('parkingData', JSON.stringify(persist));
+
+const startSync = () => {
+  const onMessage = msg => { if (msg?.from !== TAB_ID) applyChanges(msg.changes); };
+  if (typeof BroadcastChannel !== 'undefined') {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+    syncChannel.onmessage = e => onMessage(e.data);
+  } else {
+    window.addEventListener('storage', e => { if (e.key === SYNC_CHANNEL && e.newValue) onMessage(JSON.parse(e.newValue)); });
+  }
+  connectSyncServer();
 };
 
 /* Init slots */
+const defaultLayout = () => ({ levels: [{ id: 'L1', name: 'Level 1', zones: [{ id: 'A', name: 'Zone A' }] }], nextSlotId: 1 });
 const initSlots = () => {
   if (STATE.slots.length) return;
-  for (let i = 1; i <= STATE.config.totalSlots; i++) {
-    const type = STATE.config.typesByRow[i % STATE.config.typesByRow.length];
-    STATE.slots.push({ id: i, type, occupied: false, vehicle: null, entryTime: null });
+  const { totalSlots, typesByRow, slotsPerRow } = STATE.config;
+  const [level] = STATE.layout.levels;
+  for (let i = 1; i <= totalSlots; i++) {
+    const type = typesByRow[i % typesByRow.length];
+    STATE.slots.push({
+      id: i, type, level: level.id, zone: level.zones[0].id, row: `R${Math.ceil(i / slotsPerRow)}`, maintenance: false,
+      occupied: false, vehicle: null, entryTime: null,
+    });
+  }
+  STATE.layout.nextSlotId = totalSlots + 1;
+};
+
+/* Layout
+   Slot types (SLOT_TYPES) come from core.js; these name and place slots for display. */
+const slotTypeLabel = type => SLOT_TYPES[type]?.label || cap(type);
+const levelById = id => STATE.layout.levels.find(l => l.id === id);
+const zoneById = (levelId, zoneId) => levelById(levelId)?.zones.find(z => z.id === zoneId);
+const slotLocation = s => `${levelById(s.level)?.name || s.level} · ${zoneById(s.level, s.zone)?.name || s.zone} · Row ${s.row.replace(/^R/, '')}`;
+
+/* Plate formats
+   Each rule knows one family of registration plates: its pattern over the bare letters and
+   digits, the spaced layout it is printed in, and what to tell staff when a number looks
+   like it was meant to be one but is not. A number is stored in the layout of the first
+   rule that matches, so "TN38AB1234" and "tn 38 ab 1234" are the same vehicle everywhere;
+   numbers no rule knows are kept as bare letters and digits. Settings choose which rules
+   the gate accepts, and an admin can accept a plate none of them knows. Add a country or
+   series by adding an entry here. */
+const PLATE_FORMATS = {
+  'in-state': {
+    label: 'India · state series',
+    example: 'TN 38 AB 1234',
+    pattern: /^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{1,4})$/,
+    format: m => [m[1], m[2], m[3], m[4]].filter(Boolean).join(' '),
+    near: /^[A-Z]{2}\d/,
+    error: 'Indian plates are a two-letter state code, a district number, up to three series letters and up to four digits, e.g. TN 38 AB 1234',
+  },
+  'in-bh': {
+    label: 'India · Bharat (BH) series',
+    example: '22 BH 1234 AA',
+    pattern: /^(\d{2})BH(\d{4})([A-Z]{1,2})$/,
+    format: m => `${m[1]} BH ${m[2]} ${m[3]}`,
+    near: /^\d{2}BH/,
+    error: 'BH series plates are the year of registration, BH, four digits and one or two letters, e.g. 22 BH 1234 AA',
+  },
+  'in-temp': {
+    label: 'India · temporary registration',
+    example: 'T 0824 KA 1234 A',
+    pattern: /^T(\d{4})([A-Z]{2})(\d{1,4})([A-Z]{0,2})$/,
+    format: m => ['T', m[1], m[2], m[3], m[4]].filter(Boolean).join(' '),
+    near: /^T\d/,
+    error: 'Temporary plates are T, the month and year of issue (MMYY), a state code, up to four digits and up to two letters, e.g. T 0824 KA 1234 A',
+  },
+  'in-diplomatic': {
+    label: 'India · diplomatic and UN',
+    example: '77 CD 12',
+    pattern: /^(\d{1,3})(CD|CC|UN)(\d{1,4})$/,
+    format: m => `${m[1]} ${m[2]} ${m[3]}`,
+    near: /^\d+(CD|CC|UN)/,
+    error: 'Diplomatic plates are the mission number, CD, CC or UN and up to four digits, e.g. 77 CD 12',
+  },
+  'gb': {
+    label: 'United Kingdom',
+    example: 'AB12 CDE',
+    pattern: /^([A-Z]{2}\d{2})([A-Z]{3})$/,
+    format: m => `${m[1]} ${m[2]}`,
+    near: /^[A-Z]{2}\d{2}[A-Z]{3}/,
+    error: 'UK plates are two letters, two digits and three letters, e.g. AB12 CDE',
+  },
+};
+
+const plateKey = v => String(v).toUpperCase().replace(/[^A-Z0-9]/g, '');
+const matchPlate = (raw, formats = Object.keys(PLATE_FORMATS)) => {
+  const key = plateKey(raw);
+  for (const id of formats) {
+    const m = PLATE_FORMATS[id]?.pattern.exec(key);
+    if (m) return { id, number: PLATE_FORMATS[id].format(m) };
+  }
+  return null;
+};
+// Stored and displayed form of a number
+const formatPlate = raw => matchPlate(raw)?.number || plateKey(raw);
+
+// Why the gate should not accept a number, or '' when an enabled rule knows it
+const plateError = raw => {
+  const key = plateKey(raw), formats = STATE.config.plates.formats;
+  if (!key) return 'Enter a vehicle number';
+  if (matchPlate(key, formats)) return '';
+  const known = matchPlate(key);
+  if (known) return `${PLATE_FORMATS[known.id].label} plates are not accepted at this lot`;
+  const rule = formats.map(id => PLATE_FORMATS[id]).find(r => r?.near.test(key));
+  if (rule) return rule.error;
+  return `Not a recognised plate. Accepted: ${formats.map(id => PLATE_FORMATS[id].example).join(', ')}`;
+};
+
+// Plate field shared by the entry, reservation and pass forms; the override box is admin only
+const plateFieldHtml = id => html`
+  <input type="text" id="${id}" class="input" placeholder="${PLATE_FORMATS[STATE.config.plates.formats[0]].example}" autocomplete="off" />
+  <div class="hint" id="${id}Hint"></div>
+  <div class="error" id="${id}Err"></div>
+  ${can('overridePlate') ? html`<label class="hint hidden" id="${id}Override"><input type="checkbox" /> Accept this number as typed</label>` : ''}`;
+// Show how the number will be stored while it is typed
+const watchPlateField = id => qs(`#${id}`).addEventListener('input', e => {
+  const known = matchPlate(e.target.value, STATE.config.plates.formats);
+  qs(`#${id}Hint`).textContent = known ? `${PLATE_FORMATS[known.id].label} · ${known.number}` : '';
+});
+const readPlateField = id => {
+  const raw = qs(`#${id}`).value;
+  const override = qs(`#${id}Override input`)?.checked && plateKey(raw);
+  const error = override ? '' : plateError(raw);
+  qs(`#${id}Override`)?.classList.toggle('hidden', !error || !plateKey(raw));
+  return { number: formatPlate(raw), error, override: !!override && !matchPlate(raw, STATE.config.plates.formats) };
+};
+
+/* Reservations
+   A booking holds its slot from holdBeforeMinutes before the window opens until
+   graceMinutes after it closes. Bookings still active after that become no-shows. */
+const slotForReservation = (type, from, to) => {
+  const { holdBeforeMinutes, graceMinutes } = STATE.config.reservations;
+  const start = from - holdBeforeMinutes * MINUTE, end = to + graceMinutes * MINUTE;
+  const clashes = slot => STATE.reservations.some(r => r.slotId === slot.id && r.status === 'active'
+    && start < r.to + graceMinutes * MINUTE && r.from - holdBeforeMinutes * MINUTE < end);
+  // a slot that is taken right now can only be booked for a later window
+  const usable = s => !s.maintenance && !clashes(s) && !(s.occupied && start <= Date.now());
+  const sameType = STATE.slots.filter(s => usable(s) && s.type === type);
+  const pool = sameType.length ? sameType : STATE.slots.filter(usable);
+  return pool.sort((a,b) => (a.occupied - b.occupied) || (a.id - b.id))[0] || null;
+};
+
+const expireReservations = async () => {
+  const { graceMinutes, noShowFee } = STATE.config.reservations;
+  const now = Date.now();
+  const expired = STATE.reservations.filter(r => r.status === 'active' && now >= r.to + graceMinutes * MINUTE);
+  for (const r of expired) {
+    r.status = 'expired';
+    STATE.history.unshift({
+      id: uid('H'),
+      vehicleNumber: r.vehicleNumber,
+      owner: r.owner,
+      type: r.type,
+      slotId: r.slotId,
+      entryTime: r.from,
+      exitTime: r.to + graceMinutes * MINUTE,
+      durationMs: 0,
+      fee: noShowFee,
+      feeLines: [{ label: 'Reservation no-show', amount: noShowFee }],
+      noShow: true,
+      reservationId: r.id,
+    });
+    const row = STATE.history[0];
+    if (noShowFee > 0) {
+      row.invoice = await issueInvoice(row.feeLines, row.exitTime, staffRef());
+      row.fee = row.invoice.total;
+      touchRecord('history', row.id);
+    }
+  }
+  if (expired.length) {
+    save('no-show', { note: `${expired.length} reservation${expired.length === 1 ? '' : 's'} expired` });
+    toast(`${expired.length} reservation${expired.length > 1 ? 's' : ''} expired as no-show`, 'error');
+    if (currentPath() === '/reservations') navigate('/reservations');
+  }
+};
+
+/* Passes
+   Pass holders are billed at discountPct off the tariff (100 = free). A pass may
+   dedicate a slot, which is then kept out of general allocation while valid. */
+const expiringPasses = (at = Date.now()) => {
+  const horizon = at + STATE.config.passes.expiringDays * 86400000;
+  return STATE.passes.filter(p => p.status === 'active' && p.validTo >= at && p.validTo <= horizon)
+    .sort((a,b) => a.validTo - b.validTo);
+};
+
+/* Watchlist
+   Vehicle numbers staff should know about at the gate. Banned vehicles are refused, unpaid
+   dues need staff to confirm the entry, VIPs only get a banner. Every entry lapses at its
+   expiresAt, WATCHLIST_DEFAULT_DAYS ahead unless staff pick another date. Every match at
+   the gate is counted on the entry and saved, so it shows in the audit log with what
+   happened. */
+const WATCHLIST_KINDS = {
+  banned: { label: 'Banned', icon: 'fa-solid fa-ban', blocks: true },
+  dues: { label: 'Unpaid dues', icon: 'fa-solid fa-file-invoice-dollar', confirm: true },
+  vip: { label: 'VIP', icon: 'fa-solid fa-star' },
+};
+const WATCHLIST_DEFAULT_DAYS = 90;
+const watchValid = (w, at) => !w.removedAt && at <= w.expiresAt;
+// The entry that matters most when a number is listed more than once
+const watchlistFor = (number, at = Date.now()) => STATE.watchlist
+  .filter(w => w.vehicleNumber === number && watchValid(w, at))
+  .sort((a,b) => Object.keys(WATCHLIST_KINDS).indexOf(a.kind) - Object.keys(WATCHLIST_KINDS).indexOf(b.kind))[0] || null;
+const noteWatchlistMatch = (w, outcome) => {
+  w.matches = (w.matches || 0) + 1;
+  w.lastMatchAt = Date.now();
+  save('watchlist', { target: w.vehicleNumber, note: `${WATCHLIST_KINDS[w.kind].label} match: ${outcome}` });
+};
+const watchlistBannerHtml = w => html`<i class="${WATCHLIST_KINDS[w.kind].icon}"></i> ${WATCHLIST_KINDS[w.kind].label}: ${w.reason} · until ${new Date(w.expiresAt).toLocaleDateString()}`;
+
+const dateInputValue = ts => { const d = new Date(ts); return `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`; };
+const dayStartFromInput = v => new Date(`${v}T00:00:00`).getTime();
+const dayEndFromInput = v => new Date(`${v}T23:59:59.999`).getTime();
+
+/* Alerts
+   Rules in config.alerts are checked every ALERT_CHECK_MS on every page. An alert is
+   identified by its key (the stay it is about, or the capacity rule) so acknowledging or
+   snoozing it sticks until it clears; a new stay or a refill raises a fresh one. */
+const ALERT_CHECK_MS = 30000;
+const ALERT_KINDS = {
+  overstay: { label: 'Overstay', icon: 'fa-solid fa-hourglass-end' },
+  capacity: { label: 'Capacity', icon: 'fa-solid fa-gauge-high' },
+  mismatch: { label: 'Wrong slot type', icon: 'fa-solid fa-triangle-exclamation' },
+};
+
+const capacityScopes = () => [
+  { scope: 'lot', value: '', label: 'Whole lot' },
+  ...Object.keys(SLOT_TYPES).filter(type => STATE.slots.some(s => s.type === type))
+    .map(type => ({ scope: 'type', value: type, label: `${slotTypeLabel(type)} slots` })),
+  ...STATE.layout.levels.flatMap(l => l.zones.map(z => ({ scope: 'zone', value: `${l.id}/${z.id}`, label: `${l.name} · ${z.name}` }))),
+];
+const inScope = (slot, { scope, value }) =>
+  scope === 'lot' || (scope === 'type' && slot.type === value) || (scope === 'zone' && `${slot.level}/${slot.zone}` === value);
+
+// Everything that is wrong right now, whether or not someone has seen it
+const currentAlerts = (at = Date.now()) => {
+  const { maxStayHours, capacity, typeMismatch } = STATE.config.alerts;
+  const alerts = [];
+  STATE.slots.filter(s => s.occupied).forEach(s => {
+    const limit = maxStayHours[s.vehicle.type] || 0;
+    if (limit && at - s.entryTime > limit * HOUR) {
+      alerts.push({ key: `overstay:${s.id}:${s.entryTime}`, kind: 'overstay', slotId: s.id,
+        title: `${s.vehicle.number} parked for ${fmtDuration(at - s.entryTime)}`,
+        detail: `Slot ${s.id} · the limit for a ${s.vehicle.type} is ${limit} h` });
+    }
+    if (typeMismatch && !SLOT_TYPES[s.type]?.accepts.includes(s.vehicle.type)) {
+      alerts.push({ key: `mismatch:${s.id}:${s.entryTime}`, kind: 'mismatch', slotId: s.id,
+        title: `${cap(s.vehicle.type)} ${s.vehicle.number} in a ${slotTypeLabel(s.type).toLowerCase()} slot`,
+        detail: `Slot ${s.id} · ${slotLocation(s)}` });
+    }
+  });
+  capacity.forEach(rule => {
+    const pool = STATE.slots.filter(s => !s.maintenance && inScope(s, rule));
+    if (!pool.length) return;
+    const used = pool.filter(s => s.occupied).length / pool.length;
+    if (used * 100 < rule.pct) return;
+    const name = capacityScopes().find(c => c.scope === rule.scope && c.value === rule.value)?.label || rule.value;
+    alerts.push({ key: `capacity:${rule.scope}:${rule.value}:${rule.pct}`, kind: 'capacity',
+      title: `${name} is ${Math.round(used * 100)}% full`,
+      detail: `${pool.filter(s => !s.occupied).length} of ${pool.length} slots free · alert at ${rule.pct}%` });
+  });
+  return alerts;
+};
+
+const alertMuted = (alert, at = Date.now()) => {
+  const mark = STATE.alerts[alert.key];
+  return !!mark && (!!mark.ackedAt || mark.snoozedUntil > at);
+};
+// Alerts still waiting for someone to look at them
+const openAlerts = () => currentAlerts().filter(a => !alertMuted(a));
+
+// Marks for alerts that have cleared are dropped whenever a mark is written
+const markAlert = (alert, mark, note) => {
+  const live = new Set(currentAlerts().map(a => a.key));
+  STATE.alerts = Object.fromEntries(Object.entries(STATE.alerts).filter(([key]) => live.has(key)));
+  STATE.alerts[alert.key] = mark;
+  save('alert', { target: alert.title, note });
+  checkAlerts();
+};
+const ackAlert = alert => markAlert(alert, { ackedAt: Date.now(), ackedBy: staffRef() }, 'Acknowledged');
+const snoozeAlert = alert => {
+  const { snoozeMinutes } = STATE.config.alerts;
+  markAlert(alert, { snoozedUntil: Date.now() + snoozeMinutes * MINUTE, by: staffRef() }, `Snoozed for ${snoozeMinutes} min`);
+};
+
+const notifiedAlerts = new Set(); // keys already announced by this tab
+const checkAlerts = () => {
+  const open = openAlerts();
+  updateAlertBell(open);
+  patchDashboard([]);
+  if (!currentUser) return;
+  const keys = new Set(open.map(a => a.key));
+  [...notifiedAlerts].filter(key => !keys.has(key)).forEach(key => notifiedAlerts.delete(key));
+  open.filter(a => !notifiedAlerts.has(a.key)).forEach(a => {
+    notifiedAlerts.add(a.key);
+    toast(`${ALERT_KINDS[a.kind].label}: ${a.title}`, 'error');
+    if (STATE.config.alerts.browserNotifications && window.Notification?.permission === 'granted') {
+      new Notification(`${STATE.config.lot.name}: ${ALERT_KINDS[a.kind].label}`, { body: `${a.title}\n${a.detail}`, tag: a.key });
+    }
+  });
+};
+
+/* Staff accounts
+   Local users with PINs stored as salted PBKDF2 hashes. The signed-in user is kept per
+   tab in sessionStorage; history rows and invoice audit entries record who acted. */
+const ROLES = {
+  attendant:  { label: 'Attendant',  can: ['park', 'exit'] },
+  supervisor: { label: 'Supervisor', can: ['park', 'exit', 'void', 'overrideFee', 'allShifts', 'audit', 'watchlist'] },
+  admin:      { label: 'Admin',      can: ['park', 'exit', 'void', 'overrideFee', 'overridePlate', 'allShifts', 'audit', 'watchlist', 'config', 'reset', 'data', 'users'] },
+};
+// Permission needed to open a route; routes not listed are open to every signed-in user
+const ROUTE_PERMISSIONS = {
+  '/entry': 'park', '/exit': 'exit', '/settings': 'config', '/layout': 'config', '/reservations': 'config', '/passes': 'config', '/watchlist': 'watchlist',
+  '/data': 'data', '/users': 'users',
+};
+const SESSION_KEY = 'parkingUser';
+const PIN_RE = /^\d{4,8}$/;
+
+let currentUser = null;
+const can = action => !!currentUser && ROLES[currentUser.role].can.includes(action);
+const canVisit = path => !ROUTE_PERMISSIONS[path] || can(ROUTE_PERMISSIONS[path]);
+// Who did something, as stored on history rows and audit entries
+const staffRef = () => currentUser ? { id: currentUser.id, name: currentUser.name } : null;
+
+const toHex = bytes => Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+const hashPin = async (pin, salt) => {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', enc.encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: enc.encode(salt), iterations: 100000, hash: 'SHA-256' }, key, 256);
+  return toHex(bits);
+};
+const createUser = async (name, role, pin) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const user = { id: uid('U'), name, role, salt, pinHash: await hashPin(pin, salt), active: true, createdAt: Date.now() };
+  STATE.users.push(user);
+  save('user', { target: name, note: `Added as ${ROLES[role].label}` });
+  return user;
+};
+const activeAdmins = () => STATE.users.filter(u => u.active && u.role === 'admin');
+
+// Show only what the signed-in role may use
+const applyPermissions = () => {
+  qsa('.nav-link').forEach(a => { a.style.display = canVisit(a.getAttribute('data-route')) ? '' : 'none'; });
+  qs('#resetDataBtn').style.display = can('reset') ? '' : 'none';
+  let badge = qs('#currentUser');
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.id = 'currentUser';
+    badge.style.cssText = 'display:flex; align-items:center; gap:8px; margin-right:8px;';
+    qs('#themeToggle').before(badge);
   }
+  badge.innerHTML = currentUser ? html`
+    <span class="badge" title="${ROLES[currentUser.role].label}"><i class="fa-solid fa-user"></i> ${currentUser.name} · ${ROLES[currentUser.role].label}</span>
+    <button class="btn btn-outline" id="logoutBtn" title="Sign out"><i class="fa-solid fa-right-from-bracket"></i></button>
+  ` : '';
+  qs('#logoutBtn')?.addEventListener('click', logout);
 };
 
-const nearestEmptySlot = (type) => {
-  // Choose nearest empty slot of same type; if none, any empty
-  const sameType = STATE.slots.filter(s => !s.occupied && s.type === type);
-  const anyType = STATE.slots.filter(s => !s.occupied);
-  const pool = sameType.length ? sameType : anyType;
-  if (!pool.length) return null;
-  return pool.sort((a,b) => a.id - b.id)[0]; // nearest = lowest id
+const signIn = user => {
+  currentUser = user;
+  sessionStorage.setItem(SESSION_KEY, user.id);
+  applyPermissions();
+};
+const logout = () => {
+  currentUser = null;
+  sessionStorage.removeItem(SESSION_KEY);
+  hideModal();
+  applyPermissions();
+  navigate(currentPath());
+};
+const restoreSession = () => {
+  const id = sessionStorage.getItem(SESSION_KEY);
+  currentUser = STATE.users.find(u => u.id === id && u.active) || null;
+  applyPermissions();
 };
 
+function renderLogin() {
+  clearView();
+  const first = !STATE.users.length;
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.cssText = 'padding:16px; max-width:420px; margin:0 auto;';
+  el.innerHTML = html`
+    <h3 class="mt-0">${first ? 'Create the first admin account' : 'Sign in'}</h3>
+    ${first ? html`<p class="muted">No staff accounts exist yet. This account can add attendants and supervisors later.</p>` : ''}
+    <form id="loginForm" class="form">
+      <div class="form-row">
+        <label>Name</label>
+        ${first
+          ? html`<input type="text" id="loginName" class="input" placeholder="Priya" autocomplete="username" />`
+          : html`<select id="loginName">${STATE.users.filter(u => u.active).map(u => html`<option value="${u.id}">${u.name} (${ROLES[u.role].label})</option>`)}</select>`}
+      </div>
+      <div class="form-row">
+        <label>PIN</label>
+        <input type="password" id="loginPin" class="input" inputmode="numeric" autocomplete="${first ? 'new-password' : 'current-password'}" placeholder="4–8 digits" />
+      </div>
+      ${first ? html`
+        <div class="form-row">
+          <label>Repeat PIN</label>
+          <input type="password" id="loginPin2" class="input" inputmode="numeric" autocomplete="new-password" />
+        </div>` : ''}
+      <div class="error" id="loginErr"></div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-right-to-bracket"></i> ${first ? 'Create and sign in' : 'Sign in'}</button>
+    </form>
+  `;
+  view().appendChild(el);
+
+  qs('#loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const pin = qs('#loginPin').value;
+    const err = msg => { qs('#loginErr').textContent = msg; };
+    if (first) {
+      const name = capWords(qs('#loginName').value.trim());
+      if (name.length < 2) return err('Enter your name');
+      if (!PIN_RE.test(pin)) return err('PIN must be 4 to 8 digits');
+      if (pin !== qs('#loginPin2').value) return err('PINs do not match');
+      signIn(await createUser(name, 'admin', pin));
+    } else {
+      const user = STATE.users.find(u => u.id === qs('#loginName').value);
+      if (!user || await hashPin(pin, user.salt) !== user.pinHash) {
+        qs('#loginPin').value = '';
+        return err('Wrong PIN');
+      }
+      signIn(user);
+    }
+    navigate(currentPath());
+    toast(`Signed in as ${currentUser.name}`, 'success');
+  });
+}
+
+function renderNotAllowed() {
+  clearView();
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+  el.innerHTML = html`
+    <h3 class="mt-0"><i class="fa-solid fa-lock"></i> Not available for your role</h3>
+    <p class="muted">${ROLES[currentUser.role].label}s cannot open this page. Ask an admin if you need access.</p>
+    <a href="#/dashboard" class="btn btn-primary">Back to dashboard</a>
+  `;
+  view().appendChild(el);
+}
+
+function renderUsers() {
+  clearView();
+  const rows = STATE.users.map(u => html`
+    <tr>
+      <td>${u.name}${u.id === currentUser.id ? html` <span class="badge">You</span>` : ''}</td>
+      <td>${ROLES[u.role].label}</td>
+      <td>${u.active ? 'Active' : 'Disabled'}</td>
+      <td>${new Date(u.createdAt).toLocaleDateString()}</td>
+      <td class="nowrap">
+        <button class="btn btn-outline" data-action="edit-user" data-id="${u.id}"><i class="fa-solid fa-pen"></i> Edit</button>
+      </td>
+    </tr>
+  `);
+  const roleOptions = selected => Object.entries(ROLES).map(([key, r]) => html`<option value="${key}" ${key === selected ? 'selected' : ''}>${r.label}</option>`);
+
+  const el = document.createElement('div');
+  el.innerHTML = html`
+    <div class="glass pad mb-16">
+      <h3 class="mt-0">Add staff member</h3>
+      <form id="userForm" class="form">
+        <div class="form-row">
+          <label>Name</label>
+          <input type="text" id="userName" class="input" placeholder="Ravi" />
+        </div>
+        <div class="form-row">
+          <label>Role</label>
+          <select id="userRole">${roleOptions('attendant')}</select>
+        </div>
+        <div class="form-row">
+          <label>PIN</label>
+          <input type="password" id="userPin" class="input" inputmode="numeric" autocomplete="new-password" placeholder="4–8 digits" />
+        </div>
+        <div class="error" id="userErr"></div>
+        <button type="submit" class="btn btn-primary"><i class="fa-solid fa-user-plus"></i> Add</button>
+      </form>
+    </div>
+    <div class="glass pad">
+      <h3 class="mt-0">Staff</h3>
+      <p class="muted">Attendants park and remove vehicles. Supervisors can also void invoices and override fees. Admins can change settings, manage data and staff, and reset.</p>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Name</th><th>Role</th><th>Status</th><th>Added</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  view().appendChild(el);
+
+  qs('#userForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = capWords(qs('#userName').value.trim());
+    const pin = qs('#userPin').value;
+    if (name.length < 2) { qs('#userErr').textContent = 'Enter a name'; return; }
+    if (STATE.users.some(u => u.name.toLowerCase() === name.toLowerCase())) { qs('#userErr').textContent = 'A staff member with this name exists'; return; }
+    if (!PIN_RE.test(pin)) { qs('#userErr').textContent = 'PIN must be 4 to 8 digits'; return; }
+    await createUser(name, qs('#userRole').value, pin);
+    renderUsers();
+    toast(`${name} added`, 'success');
+  });
+
+  qsa('.btn[data-action="edit-user"]').forEach(btn => btn.addEventListener('click', e => {
+    const user = STATE.users.find(u => u.id === e.currentTarget.dataset.id);
+    showModal(`Edit ${user.name}`, html`
+      <div class="form-row">
+        <label>Role</label>
+        <select id="editUserRole">${roleOptions(user.role)}</select>
+      </div>
+      <div class="form-row">
+        <label>New PIN (leave empty to keep)</label>
+        <input type="password" id="editUserPin" class="input" inputmode="numeric" autocomplete="new-password" />
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" id="editUserActive" ${user.active ? 'checked' : ''} /> Can sign in</label>
+      </div>
+    `, [
+      {label:'Cancel', class:'btn-outline', role:'cancel'},
+      {label:'Save', class:'btn-primary', role:'confirm', onClick: () => {
+        const role = qs('#editUserRole').value;
+        const active = qs('#editUserActive').checked;
+        const pin = qs('#editUserPin').value;
+        if (pin && !PIN_RE.test(pin)) { toast('PIN must be 4 to 8 digits', 'error'); return false; }
+        if (user.role === 'admin' && user.active && (role !== 'admin' || !active) && activeAdmins().length === 1) {
+          toast('Keep at least one active admin', 'error');
+          return false;
+        }
+        (async () => {
+          Object.assign(user, { role, active });
+          if (pin) user.pinHash = await hashPin(pin, user.salt);
+          save('user', { target: user.name, note: pin ? 'Updated, PIN changed' : 'Updated' });
+          if (user === currentUser && (!active || !can('users'))) { logout(); return; }
+          applyPermissions();
+          renderUsers();
+          toast(`${user.name} updated`, 'success');
+        })();
+      }},
+    ]);
+  }));
+}
+
 /* Router */
 const routes = {
   '/': renderHome,
   '/dashboard': renderDashboard,
   '/entry': renderEntryForm,
+  '/exit': renderExit,
   '/history': renderHistory,
   '/analytics': renderAnalytics,
+  '/forecast': renderForecast,
   '/contact': renderContact,
+  '/settings': renderSettings,
+  '/reservations': renderReservations,
+  '/passes': renderPasses,
+  '/watchlist': renderWatchlist,
+  '/layout': renderLayoutEditor,
+  '/vehicle': renderVehicleProfile,
+  '/data': renderDataManagement,
+  '/users': renderUsers,
+  '/shift': renderShift,
+  '/audit': renderAudit,
 };
 
 const setPageTitle = title => { qs('.page-title').textContent = title; };
+let pendingFocus = null; // selector to scroll to and highlight after the next render
 const navigate = (path) => {
+  stopTicks();
+  queueMicrotask(pruneCharts); // once the new view has replaced the old one
+  if (!currentUser) {
+    setActiveNav('');
+    setPageTitle(STATE.users.length ? 'Staff Login' : 'Create Admin Account');
+    renderLogin();
+    return;
+  }
   setActiveNav(path);
   setPageTitle(pageTitleFor(path));
+  if (!canVisit(path)) { renderNotAllowed(); return; }
   routes[path]?.();
+  if (pendingFocus) {
+    const el = qs(pendingFocus);
+    pendingFocus = null;
+    if (!el) return;
+    el.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    el.classList.add('highlight');
+    setTimeout(() => el.classList.remove('highlight'), 2500);
+  }
+};
+// Go to a hash route, re-rendering even when it is already the current one
+const goTo = (hash, focus = null) => {
+  pendingFocus = focus;
+  if (location.hash === hash) navigate(currentPath());
+  else location.hash = hash;
 };
 const pageTitleFor = (path) => ({
   '/': 'Home',
   '/dashboard': 'Parking Slot Dashboard',
   '/entry': 'Vehicle Entry',
+  '/exit': 'Vehicle Exit',
   '/history': 'Parking History',
   '/analytics': 'Analytics',
+  '/forecast': 'Forecast',
   '/contact': 'Contact & Support',
+  '/settings': 'Settings',
+  '/reservations': 'Reservations',
+  '/passes': 'Monthly Passes',
+  '/watchlist': 'Watchlist',
+  '/layout': 'Lot Layout',
+  '/vehicle': 'Vehicle Profile',
+  '/data': 'Data Management',
+  '/users': 'Staff Accounts',
+  '/shift': 'Shift & Cash Drawer',
+  '/audit': 'Audit Log',
 }[path] || 'Parking');
 
 const setActiveNav = (path) => {
   qsa('.nav-link').forEach(a => a.classList.toggle('active', a.getAttribute('data-route') === path));
 };
+// Sidebar entries for routes that are not in the static markup
+const addNavLink = (path, icon, label) => {
+  const first = qs('.nav-link');
+  if (!first || qs(`.nav-link[data-route="${path}"]`)) return;
+  const a = document.createElement('a');
+  a.className = 'nav-link';
+  a.href = `#${path}`;
+  a.setAttribute('data-route', path);
+  a.innerHTML = html`<i class="${icon}"></i> <span>${label}</span>`;
+  first.parentElement.appendChild(a);
+};
 
 /* Toasts */
 const toast = (msg, type='success') => {
@@ -116,7 +1239,7 @@ qs('#themeToggle').addEventListener('click', () => {
     document.documentElement.style.setProperty('--muted', '#5b6472');
     document.body.style.background = 'linear-gradient(180deg, #ffffff, #e9eef5)';
     STATE.theme = 'light';
-    qs('#themeToggle').innerHTML = '<i class="fa-solid fa-sun"></i>';
+    qs('#themeToggle').innerHTML = html`<i class="fa-solid fa-sun"></i>`;
   } else {
     // Reset to dark defaults by reloading CSS custom properties via style removal
     document.location.reload();
@@ -125,20 +1248,88 @@ qs('#themeToggle').addEventListener('click', () => {
 
 /* Reset data */
 qs('#resetDataBtn').addEventListener('click', () => {
-  showConfirm('Reset all data?', 'This will clear slots and history. This action cannot be undone.', () => {
-    localStorage.removeItem('parkingData');
+  showConfirm('Reset all data?', html`
+    <p>This will clear slots and history. This action cannot be undone.</p>
+    <label><input type="checkbox" id="resetBackup" checked /> Download a backup first</label>
+  `, () => {
+    if (!can('reset')) { toast('Only an admin can reset data', 'error'); return; }
+    if (qs('#resetBackup').checked) downloadBackup('before_reset');
     STATE.slots = [];
     STATE.history = [];
+    STATE.reservations = [];
+    STATE.passes = [];
+    STATE.layout = defaultLayout();
     initSlots();
+    save('reset');
     navigate(currentPath());
     toast('Data reset', 'success');
   });
 });
 
-const currentPath = () => (location.hash.replace('#','') || '/');
+const currentPath = () => (location.hash.replace('#','').split('?')[0] || '/');
+const routeParams = () => new URLSearchParams(location.hash.split('?')[1] || '');
 window.addEventListener('hashchange', () => navigate(currentPath()));
 
-/* Render helpers */
+/* Ticker
+   One 1 s interval drives every live clock on the page. Pages register what to update
+   with onTick(); navigate() clears the list, so nothing keeps running for a page that is
+   no longer shown, and the interval stops while the list is empty. */
+const tickTasks = new Map(); // name -> fn
+let tickId = null;
+const onTick = (name, fn) => {
+  tickTasks.set(name, fn);
+  if (!tickId) tickId = setInterval(() => { if (!document.hidden) tickTasks.forEach(task => task()); }, 1000);
+};
+const stopTicks = () => {
+  tickTasks.clear();
+  clearInterval(tickId);
+  tickId = null;
+  unwatchSlotCards();
+};
+
+// Slot cards currently on screen; only these have their parked time refreshed
+const visibleSlots = new Set();
+let slotObserver = null;
+const watchSlotCard = card => {
+  const id = Number(card.dataset.slot);
+  if (!window.IntersectionObserver) { visibleSlots.add(id); return; }
+  slotObserver = slotObserver || new IntersectionObserver(entries => entries.forEach(e => {
+    const seen = Number(e.target.dataset.slot);
+    if (e.isIntersecting) visibleSlots.add(seen);
+    else visibleSlots.delete(seen);
+  }));
+  slotObserver.observe(card);
+};
+const unwatchSlotCards = () => {
+  slotObserver?.disconnect();
+  visibleSlots.clear();
+};
+const tickParkedTimes = () => visibleSlots.forEach(id => {
+  const slot = STATE.slots.find(s => s.id === id);
+  const t = qs(`#time-${id}`);
+  if (t && slot?.occupied) t.textContent = fmtParked(slot.entryTime);
+});
+
+/* Render helpers
+   Every template that ends up in innerHTML is written with the html`` tag. Interpolated
+   values are escaped unless they are html`` results themselves (or arrays of them), so
+   names, plates and notes typed at the gate can never turn into markup. Markup carries
+   no inline style= attributes or on* handlers: looks come from styles.css classes and
+   events are bound in code, so the app runs under a strict Content-Security-Policy
+   (script-src 'self'; style-src 'self'). Values only known at render time, like chart
+   sizes, are set through element.style, which that policy allows. */
+class SafeHtml {
+  constructor(markup) { this.markup = markup; }
+  toString() { return this.markup; }
+}
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = v => String(v).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+const htmlValue = v => v === null || v === undefined || v === false ? ''
+  : v instanceof SafeHtml ? v.markup
+  : Array.isArray(v) ? v.map(htmlValue).join('')
+  : escapeHtml(v);
+const html = (strings, ...values) => new SafeHtml(strings.reduce((out, str, i) => out + htmlValue(values[i - 1]) + str));
+
 const view = () => qs('#view');
 const clearView = () => view().innerHTML = '';
 
@@ -146,21 +1337,22 @@ const clearView = () => view().innerHTML = '';
 function renderHome() {
   clearView();
   const el = document.createElement('div');
-  el.innerHTML = `
+  el.innerHTML = html`
     <div class="hero">
       <div class="hero-card glass">
         <h1>Smart Parking Allotment</h1>
         <p>Clean, modern dashboard to manage parking slots in real time. Auto-assign nearest empty slot, track durations, generate invoices, and visualize analytics—all in a smooth dark neon UI.</p>
-        <div style="display:flex; gap:8px; margin-top:10px;">
+        <div class="row mt-10">
           <a href="#/entry" class="btn btn-primary"><i class="fa-solid fa-plus"></i> Add vehicle</a>
+          <a href="#/exit" class="btn btn-outline"><i class="fa-solid fa-qrcode"></i> Scan ticket</a>
           <a href="#/dashboard" class="btn btn-outline"><i class="fa-solid fa-gauge"></i> View dashboard</a>
         </div>
       </div>
       <div class="glass hero-card">
-        <div class="slot-type badge"><i class="fa-solid fa-car-side" style="color:var(--car)"></i> Car slots</div>
-        <div class="slot-type badge"><i class="fa-solid fa-motorcycle" style="color:var(--bike)"></i> Bike slots</div>
-        <div class="slot-type badge"><i class="fa-solid fa-truck" style="color:var(--truck)"></i> Truck slots</div>
-        <p style="margin-top:12px;">Glassmorphism cards, smooth animations, mobile-ready layout, and neon accents.</p>
+        <div class="slot-type badge"><i class="fa-solid fa-car-side tint-car"></i> Car slots</div>
+        <div class="slot-type badge"><i class="fa-solid fa-motorcycle tint-bike"></i> Bike slots</div>
+        <div class="slot-type badge"><i class="fa-solid fa-truck tint-truck"></i> Truck slots</div>
+        <p class="mt-12">Glassmorphism cards, smooth animations, mobile-ready layout, and neon accents.</p>
       </div>
     </div>
   `;
@@ -168,65 +1360,162 @@ function renderHome() {
 }
 
 /* Dashboard */
+const dashboardFilter = { level: '', zone: '' };
 function renderDashboard() {
   clearView();
-  const grid = document.createElement('div');
-  grid.className = 'slot-grid';
-
-  STATE.slots.forEach(slot => {
-    const card = document.createElement('div');
-    card.className = `glass slot ${slot.occupied ? slot.vehicle.type : 'empty'} ${slot.occupied ? '' : 'empty'}`;
-
-    const typeIcon = slot.occupied ? iconFor(slot.vehicle.type) : 'fa-solid fa-square-parking';
-    const typeColor = colorFor(slot.occupied ? slot.vehicle.type : null);
-
-    card.innerHTML = `
-      <div class="slot-header">
-        <div class="badge"><i class="fa-solid fa-hashtag"></i> Slot ${slot.id}</div>
-        <div class="slot-type" style="color:${typeColor}">
-          <i class="${typeIcon}"></i>
-          <span>${slot.occupied ? cap(slot.vehicle.type) : 'Empty'}</span>
-        </div>
-      </div>
-      <div class="info-row"><div class="label">Vehicle</div><div>${slot.occupied ? slot.vehicle.number : '-'}</div></div>
-      <div class="info-row"><div class="label">Owner</div><div>${slot.occupied ? slot.vehicle.owner : '-'}</div></div>
-      <div class="info-row"><div class="label">Parked</div><div id="time-${slot.id}">${slot.occupied ? fmtParked(slot.entryTime) : '—'}</div></div>
-      <div class="slot-actions">
-        <button class="btn btn-details" ${slot.occupied ? '' : 'disabled'} data-action="details" data-id="${slot.id}"><i class="fa-solid fa-eye"></i> Details</button>
-        <button class="btn btn-remove" ${slot.occupied ? '' : 'disabled'} data-action="remove" data-id="${slot.id}"><i class="fa-solid fa-trash"></i> Remove</button>
+  const { levels } = STATE.layout;
+  const level = levels.find(l => l.id === dashboardFilter.level);
+  const zoneChoices = (level ? level.zones : levels.flatMap(l => l.zones))
+    .filter((z, i, all) => all.findIndex(x => x.id === z.id) === i);
+
+  const toolbar = document.createElement('div');
+  toolbar.style.cssText = 'display:flex; gap:8px; align-items:center; flex-wrap:wrap; margin-bottom:12px;';
+  toolbar.innerHTML = html`
+    <select id="levelFilter">
+      <option value="">All levels</option>
+      ${levels.map(l => html`<option value="${l.id}" ${l.id === dashboardFilter.level ? 'selected' : ''}>${l.name}</option>`)}
+    </select>
+    <select id="zoneFilter">
+      <option value="">All zones</option>
+      ${zoneChoices.map(z => html`<option value="${z.id}" ${z.id === dashboardFilter.zone ? 'selected' : ''}>${z.name}</option>`)}
+    </select>
+    ${can('config') ? html`<a href="#/layout" class="btn btn-outline"><i class="fa-solid fa-pen-ruler"></i> Edit layout</a>` : ''}
+  `;
+  view().appendChild(toolbar);
+
+  const alertList = document.createElement('div');
+  alertList.id = 'dashboardAlerts';
+  alertList.style.cssText = 'display:grid; grid-template-columns:repeat(auto-fill, minmax(280px, 1fr)); gap:8px; margin-bottom:12px;';
+  view().appendChild(alertList);
+  const flagged = renderDashboardAlerts();
+
+  unwatchSlotCards();
+  levels.filter(l => !dashboardFilter.level || l.id === dashboardFilter.level).forEach(lvl => {
+    lvl.zones.filter(z => !dashboardFilter.zone || z.id === dashboardFilter.zone).forEach(zone => {
+      const slots = STATE.slots.filter(s => s.level === lvl.id && s.zone === zone.id);
+      if (!slots.length) return;
+      const title = document.createElement('h3');
+      title.innerHTML = html`${lvl.name} · ${zone.name} <span class="badge" id="free-${lvl.id}-${zone.id}">${zoneFreeText(lvl.id, zone.id)}</span>`;
+      const grid = document.createElement('div');
+      grid.className = 'slot-grid';
+      grid.dataset.zone = `${lvl.id}/${zone.id}`;
+      slots.forEach(slot => grid.appendChild(slotCard(slot, flagged)));
+      grid.addEventListener('click', onSlotAction);
+      view().appendChild(title);
+      view().appendChild(grid);
+    });
+  });
+  onTick('parked', tickParkedTimes);
+
+  qs('#levelFilter').addEventListener('change', e => {
+    dashboardFilter.level = e.target.value;
+    dashboardFilter.zone = '';
+    renderDashboard();
+  });
+  qs('#zoneFilter').addEventListener('change', e => {
+    dashboardFilter.zone = e.target.value;
+    renderDashboard();
+  });
+}
+
+const zoneFreeText = (levelId, zoneId) => {
+  const slots = STATE.slots.filter(s => s.level === levelId && s.zone === zoneId);
+  return `${slots.filter(s => !s.occupied && !s.maintenance).length}/${slots.length} free`;
+};
+
+// Alert cards above the grid; returns the ids of slots with an open alert
+function renderDashboardAlerts(){
+  const alerts = openAlerts();
+  const list = qs('#dashboardAlerts');
+  list.innerHTML = html`${alerts.map(a => alertItemHtml(a, false))}`;
+  list.classList.toggle('hidden', !alerts.length);
+  bindAlertActions(list, alerts);
+  return new Set(alerts.map(a => a.slotId).filter(Boolean));
+}
+
+/* Swap the cards of the given slots (and refresh alerts and free counts) without
+   rebuilding the dashboard. Returns false when the dashboard is not on screen or a slot
+   has no card where it should have one, so the caller can render it in full. */
+function patchDashboard(slotIds){
+  if (currentPath() !== '/dashboard' || !qs('#dashboardAlerts')) return false;
+  const shown = slot => qs(`.slot-grid[data-zone="${slot.level}/${slot.zone}"]`);
+  for (const id of slotIds) {
+    const slot = STATE.slots.find(s => s.id === id);
+    if (slot && shown(slot) && !qs(`#slot-${id}`)) return false;
+  }
+  const flagged = renderDashboardAlerts();
+  slotIds.forEach(id => {
+    const slot = STATE.slots.find(s => s.id === id), old = qs(`#slot-${id}`);
+    if (!slot || !old) return;
+    slotObserver?.unobserve(old);
+    old.replaceWith(slotCard(slot, flagged));
+    qs(`#free-${slot.level}-${slot.zone}`).textContent = zoneFreeText(slot.level, slot.zone);
+  });
+  qsa('.slot-grid .slot').forEach(card => setAlertOutline(card, flagged.has(Number(card.dataset.slot))));
+  return true;
+}
+
+const setAlertOutline = (card, on) => {
+  card.classList.toggle('alert', on);
+  card.style.outline = on ? '2px solid #ff8c1a' : '';
+};
+
+// One listener per grid, so swapped cards need no wiring of their own
+function onSlotAction(e){
+  const btn = e.target.closest('.btn[data-action]');
+  if (!btn || btn.disabled) return;
+  const id = parseInt(btn.dataset.id);
+  if (btn.dataset.action === 'remove') { removeVehicleFlow(id); return; }
+  const s = STATE.slots.find(x => x.id === id);
+  showModal('Slot details', html`
+    <div class="info-row"><div class="label">Slot</div><div>${s.id}</div></div>
+    <div class="info-row"><div class="label">Location</div><div>${slotLocation(s)}</div></div>
+    <div class="info-row"><div class="label">Type</div><div>${slotTypeLabel(s.type)}</div></div>
+    <div class="info-row"><div class="label">Vehicle</div><div>${s.vehicle?.number || '-'}</div></div>
+    <div class="info-row"><div class="label">Owner</div><div>${s.vehicle?.owner || '-'}</div></div>
+    <div class="info-row"><div class="label">Entry</div><div>${s.entryTime ? fmtTime(s.entryTime) : '-'}</div></div>
+    <div class="info-row"><div class="label">Parked by</div><div>${s.parkedBy?.name || '-'}</div></div>
+    <div class="info-row"><div class="label">Ticket</div><div>${s.ticket || '-'}</div></div>
+  `, [
+    ...(s.ticket && can('park') ? [{label:'Reprint ticket', class:'btn-outline', onClick: () => reprintTicket(s)}] : []),
+    {label:'Vehicle profile', class:'btn-outline', onClick: () => goTo(profileHref(s.vehicle.number))},
+    {label:'Close', class:'btn-outline', role:'cancel'},
+  ]);
+}
+
+function slotCard(slot, flagged = new Set()) {
+  const card = document.createElement('div');
+  card.id = `slot-${slot.id}`;
+  card.dataset.slot = slot.id;
+  const booking = slot.occupied ? null : STATE.reservations.find(r => r.slotId === slot.id && reservationHolds(r, Date.now()));
+  const state = slot.occupied ? slot.vehicle.type : slot.maintenance ? 'maintenance' : 'empty';
+  card.className = `glass slot ${state} ${slot.occupied ? '' : 'empty'} ${booking ? 'reserved' : ''}`;
+
+  const typeIcon = slot.occupied ? iconFor(slot.vehicle.type) : slot.maintenance ? 'fa-solid fa-screwdriver-wrench' : iconFor(slot.type);
+  const typeTint = tintFor(slot.occupied ? slot.vehicle.type : null);
+  const status = slot.occupied ? cap(slot.vehicle.type) : slot.maintenance ? 'Maintenance' : booking ? 'Reserved' : 'Empty';
+
+  card.innerHTML = html`
+    <div class="slot-header">
+      <div class="badge" title="${slotTypeLabel(slot.type)} slot · ${slotLocation(slot)}"><i class="fa-solid fa-hashtag"></i> Slot ${slot.id}</div>
+      <div class="slot-type ${typeTint}">
+        <i class="${typeIcon}"></i>
+        <span>${status}</span>
       </div>
-    `;
-    grid.appendChild(card);
-
-    // auto-update timers
-    if (slot.occupied) {
-      if (STATE.timers[slot.id]) clearInterval(STATE.timers[slot.id]);
-      STATE.timers[slot.id] = setInterval(() => {
-        const t = qs(`#time-${slot.id}`);
-        if (t) t.textContent = fmtParked(slot.entryTime);
-      }, 1000);
-    }
-  });
-
-  view().appendChild(grid);
-
-  // Actions
-  qsa('.btn[data-action="details"]').forEach(btn => btn.addEventListener('click', e => {
-    const id = parseInt(e.currentTarget.dataset.id);
-    const s = STATE.slots.find(x => x.id === id);
-    showModal('Slot details', `
-      <div class="info-row"><div class="label">Slot</div><div>${s.id}</div></div>
-      <div class="info-row"><div class="label">Type</div><div>${cap(s.type)}</div></div>
-      <div class="info-row"><div class="label">Vehicle</div><div>${s.vehicle?.number || '-'}</div></div>
-      <div class="info-row"><div class="label">Owner</div><div>${s.vehicle?.owner || '-'}</div></div>
-      <div class="info-row"><div class="label">Entry</div><div>${s.entryTime ? fmtTime(s.entryTime) : '-'}</div></div>
-    `, [{label:'Close', class:'btn-outline', role:'cancel'}]);
-  }));
+    </div>
+    <div class="info-row"><div class="label">Vehicle</div><div>${slot.occupied ? slot.vehicle.number : booking ? booking.vehicleNumber : '-'}</div></div>
+    <div class="info-row"><div class="label">Owner</div><div>${slot.occupied ? slot.vehicle.owner : booking ? booking.owner : '-'}</div></div>
+    <div class="info-row"><div class="label">Parked</div><div id="time-${slot.id}">${slot.occupied ? fmtParked(slot.entryTime) : '—'}</div></div>
+    <div class="slot-actions">
+      <button class="btn btn-details" ${slot.occupied ? '' : 'disabled'} data-action="details" data-id="${slot.id}"><i class="fa-solid fa-eye"></i> Details</button>
+      <button class="btn btn-remove" ${slot.occupied ? '' : 'disabled'} data-action="remove" data-id="${slot.id}"><i class="fa-solid fa-trash"></i> Remove</button>
+    </div>
+  `;
 
-  qsa('.btn[data-action="remove"]').forEach(btn => btn.addEventListener('click', e => {
-    const id = parseInt(e.currentTarget.dataset.id);
-    removeVehicleFlow(id);
-  }));
+  setAlertOutline(card, flagged.has(slot.id));
+  // the parked time is kept current by the dashboard's tick
+  if (slot.occupied) watchSlotCard(card);
+  return card;
 }
 
 /* Entry form */
@@ -235,13 +1524,14 @@ function renderEntryForm() {
   const el = document.createElement('div');
   el.className = 'glass';
   el.style.padding = '16px';
-  el.innerHTML = `
-    <h3 style="margin-top:0;">Vehicle entry</h3>
+  el.innerHTML = html`
+    <h3 class="mt-0">Vehicle entry</h3>
     <form id="entryForm" class="form">
       <div class="form-row">
         <label>Vehicle number</label>
-        <input type="text" id="vehNumber" class="input" placeholder="TN 38 AB 1234" />
-        <div class="error" id="vehNumberErr"></div>
+        ${plateFieldHtml('vehNumber')}
+        <div class="badge hidden" id="passBanner"></div>
+        <div class="badge watch-banner hidden" id="watchBanner"></div>
       </div>
       <div class="form-row">
         <label>Owner name</label>
@@ -258,7 +1548,14 @@ function renderEntryForm() {
         </select>
         <div class="error" id="typeErr"></div>
       </div>
-      <div style="display:flex; gap:8px;">
+      <div class="form-row">
+        <label>Slot</label>
+        <select id="slotOverride">
+          <option value="">Auto (${(ALLOCATION_STRATEGIES[STATE.config.allocation.strategy] || ALLOCATION_STRATEGIES['lowest-id']).label})</option>
+          ${freeSlots().sort((a,b) => a.id - b.id).map(s => html`<option value="${s.id}">Slot ${s.id} · ${slotTypeLabel(s.type)} · ${slotLocation(s)}</option>`)}
+        </select>
+      </div>
+      <div class="row">
         <button type="submit" class="btn btn-primary"><i class="fa-solid fa-square-parking"></i> Park vehicle</button>
         <a href="#/dashboard" class="btn btn-outline"><i class="fa-solid fa-gauge"></i> Go to dashboard</a>
       </div>
@@ -266,17 +1563,36 @@ function renderEntryForm() {
   `;
   view().appendChild(el);
 
-  qs('#entryForm').addEventListener('submit', (e) => {
+  // Recognise pass holders and listed vehicles while the number is typed and prefill pass details
+  watchPlateField('vehNumber');
+  qs('#vehNumber').addEventListener('input', () => {
+    const listed = watchlistFor(formatPlate(qs('#vehNumber').value));
+    const watchBanner = qs('#watchBanner');
+    watchBanner.className = `badge watch-banner ${listed ? `watch-${listed.kind}` : 'hidden'}`;
+    if (listed) watchBanner.innerHTML = watchlistBannerHtml(listed);
+
+    const pass = passFor(formatPlate(qs('#vehNumber').value));
+    const banner = qs('#passBanner');
+    banner.classList.toggle('hidden', !pass);
+    if (!pass) return;
+    banner.innerHTML = html`<i class="fa-solid fa-id-card"></i> Pass ${pass.id} · ${pass.discountPct}% off · valid till ${new Date(pass.validTo).toLocaleDateString()}${pass.slotId ? ` · slot ${pass.slotId}` : ''}`;
+    if (!qs('#ownerName').value.trim()) qs('#ownerName').value = pass.owner;
+    if (!qs('#vehType').value) qs('#vehType').value = pass.type;
+  });
+
+  qs('#entryForm').addEventListener('submit', async (e) => {
     e.preventDefault();
-    const number = qs('#vehNumber').value.trim().toUpperCase();
+    const plate = readPlateField('vehNumber');
+    const number = plate.number;
     const owner = capWords(qs('#ownerName').value.trim());
     const type = qs('#vehType').value;
 
     // Validation
     let valid = true;
     clearErrors();
-    if (!/^[A-Z]{2}\s?\d{2}\s?[A-Z]{1,2}\s?\d{3,4}$/.test(number)) {
-      showErr('#vehNumberErr', 'Enter a valid vehicle number (e.g., TN 38 AB 1234)');
+    const parkedAlready = !plate.error && parking.parkedSlotOf(number);
+    if (plate.error || parkedAlready) {
+      showErr('#vehNumberErr', plate.error || `${number} is already parked in slot ${parkedAlready.id}. Remove it there first.`);
       markInvalid('#vehNumber'); valid = false;
     }
     if (!owner || owner.length < 2) {
@@ -288,26 +1604,59 @@ function renderEntryForm() {
 
     if (!valid) return;
 
-    const slot = nearestEmptySlot(type);
-    if (!slot) { toast('No empty slot available', 'error'); return; }
+    // Listed vehicles: banned ones are refused, unpaid dues need a confirmation, VIPs are flagged
+    const listed = watchlistFor(number);
+    const kind = listed && WATCHLIST_KINDS[listed.kind];
+    if (kind?.blocks) {
+      noteWatchlistMatch(listed, 'entry refused');
+      showErr('#vehNumberErr', `${number} is ${kind.label.toLowerCase()}: ${listed.reason}`);
+      markInvalid('#vehNumber');
+      return;
+    }
+    // a confirmation is logged once staff answer it, with what they chose
+    if (listed && !kind.confirm) noteWatchlistMatch(listed, 'flagged at entry');
 
-    slot.occupied = true;
-    slot.vehicle = { number, owner, type };
-    slot.entryTime = Date.now();
+    const parkNow = async (outcome) => {
+      let choice;
+      try {
+        choice = await parking.parkVehicle({ number, owner, type, slotId: parseInt(qs('#slotOverride').value) || null, by: staffRef() });
+      } catch (err) {
+        if (!(err instanceof ParkingError)) throw err;
+        if (outcome) noteWatchlistMatch(listed, `${outcome}, not parked: ${err.message}`);
+        toast(err.message, 'error');
+        return;
+      }
+      // a vehicle arriving for its booking takes the reserved slot when it is free
+      const { slot, reason, reservedSlot, booking, pass } = choice;
 
-    save();
+      save('park', { target: number, note: `Slot ${slot.id}${plate.override ? ' · unrecognised plate accepted' : ''}` });
+      if (outcome) noteWatchlistMatch(listed, outcome);
 
-    showModal('Vehicle parked', `
-      <p><strong>Slot:</strong> ${slot.id}</p>
-      <p><strong>Vehicle:</strong> ${number}</p>
-      <p><strong>Owner:</strong> ${owner}</p>
-      <p><strong>Type:</strong> ${cap(type)}</p>
-      <p><strong>Entry time:</strong> ${fmtTime(slot.entryTime)}</p>
-    `, [
-      {label:'OK', class:'btn-primary', role:'confirm', onClick: () => { location.hash = '#/dashboard'; }}
-    ]);
+      showModal('Vehicle parked', html`
+        ${qrSvg(slot.ticket)}
+        <p><strong>Ticket:</strong> ${slot.ticket}</p>
+        <p><strong>Slot:</strong> ${slot.id}</p>
+        <p><strong>Vehicle:</strong> ${number}</p>
+        <p><strong>Owner:</strong> ${owner}</p>
+        <p><strong>Type:</strong> ${cap(type)}</p>
+        <p><strong>Entry time:</strong> ${fmtTime(slot.entryTime)}</p>
+        <p><strong>Location:</strong> ${slotLocation(slot)}</p>
+        <p><strong>Why this slot:</strong> ${reason}</p>
+        ${pass ? html`<p><strong>Pass:</strong> ${pass.id} (${pass.discountPct}% off, valid till ${new Date(pass.validTo).toLocaleDateString()})</p>` : ''}
+        ${booking ? html`<p><strong>Reservation:</strong> ${booking.id}${reservedSlot ? '' : ' (reserved slot still occupied, reassigned)'}</p>` : ''}
+      `, [
+        {label:'Print ticket', class:'btn-outline', onClick: () => { printTicket(slot); location.hash = '#/dashboard'; }},
+        {label:'OK', class:'btn-primary', role:'confirm', onClick: () => { location.hash = '#/dashboard'; }}
+      ]);
 
-    toast(`Assigned slot ${slot.id} to ${number}`, 'success');
+      toast(`Assigned slot ${slot.id} to ${number}`, 'success');
+    };
+    if (!kind?.confirm) { await parkNow(); return; }
+    showConfirm(`${kind.label}: park anyway?`, html`
+      <p>${watchlistBannerHtml(listed)}</p>
+      <div class="info-row"><div class="label">Vehicle</div><div>${number}</div></div>
+      <div class="info-row"><div class="label">Listed</div><div>${fmtTime(listed.addedAt)}${listed.addedBy ? ` by ${listed.addedBy.name}` : ''}</div></div>
+    `, () => { parkNow('staff confirmed'); }, () => noteWatchlistMatch(listed, 'staff cancelled'));
   });
 
   function clearErrors() {
@@ -318,194 +1667,2552 @@ function renderEntryForm() {
   function markInvalid(id){ qs(id).classList.add('invalid'); }
 }
 
-/* Remove vehicle + invoice */
-function removeVehicleFlow(slotId) {
+/* Remove vehicle + invoice
+   lostTicket adds the lost-ticket penalty from Settings to the bill. */
+function removeVehicleFlow(slotId, { lostTicket = false } = {}) {
   const s = STATE.slots.find(x => x.id === slotId);
-  if (!s?.occupied) return;
+  if (!s?.occupied || !can('exit')) return;
 
-  const now = Date.now();
-  const duration = now - s.entryTime;
-  const fee = computeFee(duration);
+  const exit = parking.quoteExit(slotId, Date.now(), { lostTicket });
+  const { fee, tariffFee, bill } = exit;
+  const shift = openShiftOf(currentUser);
+  if (fee > 0 && !shift) {
+    toast('Open your shift before collecting fees', 'error');
+    goTo('#/shift');
+    return;
+  }
 
-  showConfirm('Remove vehicle?', `
+  showConfirm(lostTicket ? 'Lost ticket: remove vehicle?' : 'Remove vehicle?', html`
     <div class="info-row"><div class="label">Vehicle</div><div>${s.vehicle.number}</div></div>
     <div class="info-row"><div class="label">Owner</div><div>${s.vehicle.owner}</div></div>
-    <div class="info-row"><div class="label">Parked</div><div>${fmtDuration(duration)}</div></div>
-    <div class="info-row"><div class="label">Fee</div><div>₹${fee}</div></div>
+    ${s.ticket ? html`<div class="info-row"><div class="label">Ticket</div><div>${s.ticket}${exit.lostTicket ? ' (lost)' : ''}</div></div>` : ''}
+    <div class="info-row"><div class="label">Parked</div><div>${fmtDuration(exit.durationMs)}</div></div>
+    ${feeLinesHtml(exit.lines)}
+    ${fee ? taxLinesHtml(bill) : ''}
+    <div class="info-row"><div class="label">Fee</div><div>${fmtMoney(fee)}</div></div>
+    ${shift ? html`
+      <div class="form-row">
+        <label>Payment method</label>
+        <select id="payMethod">${Object.entries(PAYMENT_METHODS).map(([key, label]) => html`<option value="${key}">${label}</option>`)}</select>
+      </div>` : ''}
+    ${can('overrideFee') ? html`
+      <div class="form-row">
+        <label>Override fee before tax (₹)</label>
+        <input type="number" min="0" step="1" id="feeOverride" class="input" placeholder="${tariffFee}" />
+      </div>
+      <div class="form-row">
+        <label>Override reason</label>
+        <input type="text" id="feeOverrideReason" class="input" placeholder="e.g. gate fault, goodwill" />
+      </div>` : ''}
   `, () => {
-    const exitTime = now;
-    STATE.history.unshift({
-      vehicleNumber: s.vehicle.number,
-      owner: s.vehicle.owner,
-      type: s.vehicle.type,
-      slotId: s.id,
-      entryTime: s.entryTime,
-      exitTime,
-      durationMs: duration,
-      fee,
+    const override = qs('#feeOverride')?.value.trim();
+    const reason = qs('#feeOverrideReason')?.value.trim();
+    if (override) {
+      if (!(Number(override) >= 0)) { toast('Enter a valid override fee', 'error'); return false; }
+      if (reason.length < 3) { toast('Give a reason for the fee override', 'error'); return false; }
+      if (taxBreakdown(Number(override)).total > 0 && !shift) { toast('Open your shift before collecting fees', 'error'); return false; }
+    }
+    (async () => {
+      let row;
+      try {
+        row = await parking.exitVehicle(s.id, {
+          at: exit.at,
+          by: staffRef(),
+          payment: shift ? { method: qs('#payMethod').value, shiftId: shift.id } : null,
+          override: override ? { amount: Number(override), reason } : null,
+          lostTicket,
+        });
+      } catch (err) {
+        if (!(err instanceof ParkingError)) throw err;
+        toast(err.message, 'error');
+        navigate(currentPath());
+        return;
+      }
+
+      save(override ? 'fee-override' : 'remove', {
+        target: row.vehicleNumber,
+        note: `Slot ${s.id}, ${fmtMoney(row.fee)}${override ? ` (tariff ${fmtMoney(tariffFee)})` : ''}${row.lostTicket ? ' · lost ticket' : ''}`,
+        ref: { slotId: s.id, historyId: row.id },
+      });
+      // the exit screen stays up for the next ticket
+      if (!patchDashboard([s.id])) navigate(currentPath() === '/exit' ? '/exit' : '/dashboard');
+      toast(`Removed ${s.id} — Fee ${fmtMoney(row.fee)}`, 'success');
+      if (row.invoice) showInvoice(row); // fully covered pass visits need no invoice
+    })();
+  });
+}
+
+/* Gate tickets
+   Every entry gets a ticket ID on the slot; its QR code holds just the ID, so a
+   keyboard-wedge scanner types it into the exit screen followed by Enter. */
+const ticketHtml = slot => html`
+  <div class="ticket">
+    <div class="ticket-lot">${STATE.config.lot.name}</div>
+    ${qrSvg(slot.ticket)}
+    <div class="ticket-id">${slot.ticket}</div>
+    <div class="info-row"><div class="label">Slot</div><div>${slot.id} · ${slotLocation(slot)}</div></div>
+    <div class="info-row"><div class="label">Vehicle</div><div>${slot.vehicle.number}</div></div>
+    <div class="info-row"><div class="label">Entry</div><div>${fmtTime(slot.entryTime)}</div></div>
+    <p class="small">Show this ticket at the exit. A lost ticket costs ${fmtMoney(STATE.config.tickets.lostFee)} extra.</p>
+  </div>`;
+
+// Only #printArea is printed while body.printing is set (see styles.css)
+function printTicket(slot){
+  let area = qs('#printArea');
+  if (!area) {
+    area = document.createElement('div');
+    area.id = 'printArea';
+    document.body.appendChild(area);
+  }
+  area.innerHTML = ticketHtml(slot);
+  document.body.classList.add('printing');
+  window.addEventListener('afterprint', () => document.body.classList.remove('printing'), { once: true });
+  window.print();
+}
+
+function reprintTicket(slot){
+  save('ticket', { target: slot.vehicle.number, note: `Ticket ${slot.ticket}, slot ${slot.id}` });
+  printTicket(slot);
+}
+
+function renderExit() {
+  clearView();
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+  el.innerHTML = html`
+    <h3 class="mt-0">Scan ticket</h3>
+    <form id="ticketForm" class="form">
+      <div class="form-row">
+        <label>Ticket ID</label>
+        <input type="text" id="ticketId" class="input" placeholder="Scan the QR code or type the ID" autocomplete="off" />
+        <div class="error" id="ticketIdErr"></div>
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-qrcode"></i> Check out</button>
+    </form>
+  `;
+  view().appendChild(el);
+
+  const lostEl = document.createElement('div');
+  lostEl.className = 'glass';
+  lostEl.style.cssText = 'padding:16px; margin-top:16px;';
+  lostEl.innerHTML = html`
+    <h3 class="mt-0">Lost ticket</h3>
+    <p class="hint mb-10">Find the vehicle by its number. A penalty of ${fmtMoney(STATE.config.tickets.lostFee)} before tax is added to the fee.</p>
+    <form id="lostTicketForm" class="form">
+      <div class="form-row">
+        <label>Vehicle number</label>
+        <input type="text" id="lostPlate" class="input" autocomplete="off" />
+        <div class="error" id="lostPlateErr"></div>
+      </div>
+      <button type="submit" class="btn btn-remove"><i class="fa-solid fa-ticket"></i> Check out without ticket</button>
+    </form>
+  `;
+  view().appendChild(lostEl);
+
+  const input = qs('#ticketId');
+  input.focus();
+  qs('#ticketForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const id = input.value.trim().toUpperCase();
+    input.value = '';
+    const err = qs('#ticketIdErr');
+    err.textContent = '';
+    if (!id) return;
+    const slot = parking.slotForTicket(id);
+    if (!slot) {
+      const left = STATE.history.find(h => h.ticketId === id);
+      err.textContent = left ? `Ticket ${id} was checked out ${fmtTime(left.exitTime)}` : `No parked vehicle has ticket ${id}`;
+      return;
+    }
+    removeVehicleFlow(slot.id);
+  });
+
+  // plates are stored canonical, so any spacing of a parked number finds it
+  qs('#lostTicketForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const number = formatPlate(qs('#lostPlate').value);
+    if (!number) return;
+    const slot = parking.parkedSlotOf(number);
+    qs('#lostPlateErr').textContent = slot ? '' : `${number} is not parked here`;
+    qs('#lostPlate').classList.toggle('invalid', !slot);
+    if (slot) removeVehicleFlow(slot.id, { lostTicket: true });
+  });
+}
+
+/* Shifts
+   Staff open a shift with the cash float in the drawer; every fee they collect records
+   its payment method and shift. Closing compares the declared cash with float + cash
+   taken (voided invoices count as refunded) and keeps that reconciliation: once a shift
+   is closed its invoices can no longer be voided. */
+const PAYMENT_METHODS = { cash: 'Cash', upi: 'UPI', card: 'Card' };
+
+const openShiftOf = user => user ? STATE.shifts.find(sh => sh.userId === user.id && !sh.closedAt) : null;
+const inClosedShift = row => !!row.payment && !!STATE.shifts.find(sh => sh.id === row.payment.shiftId)?.closedAt;
+
+const shiftReport = shift => {
+  const rows = STATE.history.filter(h => h.payment?.shiftId === shift.id);
+  const group = (keys, keyOf) => Object.fromEntries(keys.map(k => {
+    const list = rows.filter(h => keyOf(h) === k);
+    return [k, { count: list.length, amount: round2(feeTotal(list)) }];
+  }));
+  const byMethod = group(Object.keys(PAYMENT_METHODS), h => h.payment.method);
+  const byType = group(['car','bike','truck'], h => h.type);
+  const revenue = round2(feeTotal(rows));
+  // a closed shift reports what was reconciled when it closed
+  const expectedCash = shift.closedAt && Number.isFinite(shift.expectedCash) ? shift.expectedCash : round2(shift.openingFloat + byMethod.cash.amount);
+  const declared = shift.closedAt ? shift.declaredCash : null;
+  return {
+    rows,
+    transactions: rows.length,
+    revenue,
+    avgDuration: rows.length ? Math.floor(rows.reduce((sum,h) => sum + h.durationMs, 0) / rows.length) : 0,
+    byMethod,
+    byType,
+    voided: rows.filter(h => h.invoice?.status === 'void'),
+    expectedCash,
+    declaredCash: declared,
+    difference: declared === null ? null : round2(declared - expectedCash),
+  };
+};
+
+function shiftReportHtml(shift, r){
+  const groupTable = (title, groups, labelOf) => html`
+    <div class="table-wrap">
+      <table class="table">
+        <thead><tr><th>${title}</th><th>Transactions</th><th>Amount</th></tr></thead>
+        <tbody>${Object.entries(groups).map(([k, g]) => html`<tr><td>${labelOf(k)}</td><td>${g.count}</td><td>${fmtMoney(g.amount)}</td></tr>`)}</tbody>
+      </table>
+    </div>`;
+  return html`
+    <div class="info-row"><div class="label">Staff</div><div>${shift.userName}</div></div>
+    <div class="info-row"><div class="label">Opened</div><div>${fmtTime(shift.openedAt)}</div></div>
+    <div class="info-row"><div class="label">Closed</div><div>${shift.closedAt ? fmtTime(shift.closedAt) : 'Open'}</div></div>
+    <div class="kpis">
+      <div class="glass kpi"><div class="label">Transactions</div><div class="value">${r.transactions}</div></div>
+      <div class="glass kpi"><div class="label">Revenue</div><div class="value">${fmtMoney(r.revenue)}</div></div>
+      <div class="glass kpi"><div class="label">Average duration</div><div class="value">${fmtDuration(r.avgDuration)}</div></div>
+      <div class="glass kpi"><div class="label">Expected cash</div><div class="value">${fmtMoney(r.expectedCash)}</div></div>
+    </div>
+    <div class="info-row"><div class="label">Opening float</div><div>${fmtMoney(shift.openingFloat)}</div></div>
+    ${r.declaredCash === null ? '' : html`
+      <div class="info-row"><div class="label">Declared cash</div><div>${fmtMoney(r.declaredCash)}</div></div>
+      <div class="info-row"><div class="label">Difference</div><div class="${r.difference ? 'error' : ''}">${r.difference > 0 ? '+' : r.difference < 0 ? '-' : ''}${fmtMoney(Math.abs(r.difference))}${r.difference ? (r.difference > 0 ? ' over' : ' short') : ' (balanced)'}</div></div>
+      ${shift.note ? html`<div class="info-row"><div class="label">Note</div><div>${shift.note}</div></div>` : ''}`}
+    ${r.voided.length ? html`<div class="info-row"><div class="label">Voided invoices</div><div>${r.voided.map(h => h.invoice.no).join(', ')}</div></div>` : ''}
+    ${groupTable('Payment method', r.byMethod, k => PAYMENT_METHODS[k])}
+    ${groupTable('Vehicle type', r.byType, cap)}
+  `;
+}
+
+function exportShiftExcel(shift){
+  const r = shiftReport(shift);
+  const bold = v => ({ v, t: 'bold' });
+  const money = v => ({ v, t: 'money' });
+  const groupRows = (title, groups, labelOf) => [
+    [title, 'Transactions', 'Amount'].map(bold),
+    ...Object.entries(groups).map(([k, g]) => [labelOf(k), g.count, money(g.amount)]),
+  ];
+  const summary = [
+    [bold(`${STATE.config.lot.name} — shift report`)],
+    ['Staff', shift.userName],
+    ['Opened', { v: shift.openedAt, t: 'date' }],
+    ['Closed', shift.closedAt ? { v: shift.closedAt, t: 'date' } : 'Open'],
+    [],
+    ['Transactions', r.transactions],
+    ['Revenue', money(r.revenue)],
+    ['Average duration', { v: r.avgDuration, t: 'duration' }],
+    ['Opening float', money(shift.openingFloat)],
+    ['Expected cash', money(r.expectedCash)],
+    ...(r.declaredCash === null ? [] : [['Declared cash', money(r.declaredCash)], ['Difference', money(r.difference)], ['Note', shift.note || '']]),
+    [],
+    ...groupRows('Payment method', r.byMethod, k => PAYMENT_METHODS[k]),
+    [],
+    ...groupRows('Vehicle type', r.byType, cap),
+  ];
+  const transactions = [
+    ['Invoice', 'Vehicle number', 'Vehicle type', 'Exit time', 'Method', 'Amount', 'Status'].map(bold),
+    ...r.rows.map(h => [h.invoice?.no || '', h.vehicleNumber, cap(h.type), { v: h.exitTime, t: 'date' }, PAYMENT_METHODS[h.payment.method], money(h.fee), h.invoice?.status || '']),
+  ];
+  downloadBlob(xlsxBlob([{ name: 'Summary', rows: summary }, { name: 'Transactions', rows: transactions }]), `shift_${shift.id}.xlsx`);
+}
+
+function downloadShiftPdf(shift){
+  const r = shiftReport(shift);
+  const doc = pdfDocument();
+  const muted = [100, 110, 125];
+  doc.rect(0, 0, PDF_W, 70, [12, 16, 28]);
+  doc.text(40, 24, STATE.config.lot.name, { size: 18, bold: true, rgb: [255, 255, 255] });
+  doc.text(555, 24, 'SHIFT REPORT', { size: 14, bold: true, rgb: [0, 229, 255], align: 'right' });
+  doc.text(555, 46, shift.id, { size: 10, rgb: [190, 200, 215], align: 'right' });
+  let y = 96;
+  const row = (label, value, opts = {}) => {
+    doc.text(40, y, label, { size: 10, rgb: muted });
+    doc.text(555, y, value, { size: 11, align: 'right', ...opts });
+    y += 18;
+  };
+  row('Staff', shift.userName);
+  row('Opened', fmtTime(shift.openedAt));
+  row('Closed', shift.closedAt ? fmtTime(shift.closedAt) : 'Open');
+  row('Transactions', String(r.transactions));
+  row('Revenue', fmtMoney(r.revenue));
+  row('Average duration', fmtDuration(r.avgDuration));
+  y += 6; doc.line(40, y - 8, 555, y - 8);
+  row('Opening float', fmtMoney(shift.openingFloat));
+  row('Expected cash', fmtMoney(r.expectedCash), { bold: true });
+  if (r.declaredCash !== null) {
+    row('Declared cash', fmtMoney(r.declaredCash), { bold: true });
+    row('Difference', `${r.difference < 0 ? '-' : ''}${fmtMoney(Math.abs(r.difference))}`, { bold: true, rgb: r.difference ? [220, 40, 40] : [20, 24, 32] });
+    if (shift.note) row('Note', shift.note);
+  }
+  [['Payment method', r.byMethod, k => PAYMENT_METHODS[k]], ['Vehicle type', r.byType, cap]].forEach(([title, groups, labelOf]) => {
+    y += 12;
+    doc.text(40, y, title, { size: 12, bold: true });
+    y += 22; doc.line(40, y - 6, 555, y - 6);
+    Object.entries(groups).forEach(([k, g]) => {
+      doc.text(40, y, labelOf(k), { size: 10 });
+      doc.text(400, y, `${g.count}`, { size: 10, align: 'right' });
+      doc.text(555, y, fmtMoney(g.amount), { size: 10, align: 'right' });
+      y += 18;
+    });
+  });
+  if (r.voided.length) { y += 8; doc.text(40, y, `Voided: ${r.voided.map(h => h.invoice.no).join(', ')}`, { size: 9, rgb: muted }); }
+  doc.text(40, PDF_H - 80, 'Counted by ____________________        Checked by ____________________', { size: 10, rgb: muted });
+  downloadBlob(doc.toBlob(), `shift_${shift.id}.pdf`);
+}
+
+function showShiftReport(shift){
+  showModal(`Shift report ${shift.id}`, shiftReportHtml(shift, shiftReport(shift)), [
+    {label:'Download PDF', class:'btn-outline', onClick: () => downloadShiftPdf(shift)},
+    {label:'Export Excel', class:'btn-outline', onClick: () => exportShiftExcel(shift)},
+    {label:'Close', class:'btn-primary', role:'cancel'},
+  ]);
+}
+
+function renderShift() {
+  clearView();
+  const shift = openShiftOf(currentUser);
+  const past = STATE.shifts
+    .filter(sh => sh.closedAt && (can('allShifts') || sh.userId === currentUser.id))
+    .sort((a,b) => b.openedAt - a.openedAt);
+  const openOthers = can('allShifts') ? STATE.shifts.filter(sh => !sh.closedAt && sh !== shift) : [];
+
+  const el = document.createElement('div');
+  el.innerHTML = html`
+    <div class="glass pad mb-16">
+      ${shift ? html`
+        <h3 class="mt-0">Current shift</h3>
+        ${shiftReportHtml(shift, shiftReport(shift))}
+        <form id="closeShiftForm" class="form mt-12">
+          <div class="form-row">
+            <label>Cash counted in drawer (₹)</label>
+            <input type="number" min="0" step="0.01" id="declaredCash" class="input" />
+            <div class="error" id="declaredCashErr"></div>
+          </div>
+          <div class="form-row">
+            <label>Note (required when the drawer does not balance)</label>
+            <input type="text" id="shiftNote" class="input" />
+          </div>
+          <button type="submit" class="btn btn-primary"><i class="fa-solid fa-lock"></i> Close shift</button>
+        </form>
+      ` : html`
+        <h3 class="mt-0">Open shift</h3>
+        <form id="openShiftForm" class="form">
+          <div class="form-row">
+            <label>Opening cash float (₹)</label>
+            <input type="number" min="0" step="0.01" id="openingFloat" class="input" value="0" />
+            <div class="error" id="openingFloatErr"></div>
+          </div>
+          <button type="submit" class="btn btn-primary"><i class="fa-solid fa-cash-register"></i> Open shift</button>
+        </form>
+      `}
+    </div>
+    ${openOthers.length ? html`
+      <div class="glass pad mb-16">
+        <h3 class="mt-0">Other open shifts</h3>
+        ${openOthers.map(sh => html`<div class="info-row"><div class="label">${sh.userName}</div><div>since ${fmtTime(sh.openedAt)} <button class="btn btn-details" data-action="shift-report" data-id="${sh.id}"><i class="fa-solid fa-eye"></i></button></div></div>`)}
+      </div>` : ''}
+    <div class="glass pad">
+      <h3 class="mt-0">Closed shifts</h3>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Staff</th><th>Opened</th><th>Closed</th><th>Transactions</th><th>Revenue</th><th>Difference</th><th></th></tr></thead>
+          <tbody>${past.map(sh => {
+            const r = shiftReport(sh);
+            return html`
+              <tr>
+                <td>${sh.userName}</td>
+                <td>${fmtTime(sh.openedAt)}</td>
+                <td>${fmtTime(sh.closedAt)}</td>
+                <td>${r.transactions}</td>
+                <td>${fmtMoney(r.revenue)}</td>
+                <td>${r.difference ? html`<span class="error">${r.difference < 0 ? '-' : '+'}${fmtMoney(Math.abs(r.difference))}</span>` : 'Balanced'}</td>
+                <td><button class="btn btn-details" data-action="shift-report" data-id="${sh.id}"><i class="fa-solid fa-file-lines"></i> Report</button></td>
+              </tr>`;
+          })}${past.length ? '' : html`<tr><td class="empty-row" colspan="7">No closed shifts yet</td></tr>`}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  view().appendChild(el);
+
+  qsa('.btn[data-action="shift-report"]').forEach(btn => btn.addEventListener('click', e => {
+    showShiftReport(STATE.shifts.find(sh => sh.id === e.currentTarget.dataset.id));
+  }));
+
+  qs('#openShiftForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const openingFloat = Number(qs('#openingFloat').value);
+    if (!(openingFloat >= 0)) { qs('#openingFloatErr').textContent = 'Enter the cash in the drawer'; return; }
+    STATE.shifts.push({ id: uid('S'), userId: currentUser.id, userName: currentUser.name, openedAt: Date.now(), openingFloat: round2(openingFloat) });
+    save('shift', { target: currentUser.name, note: `Opened with ${fmtMoney(round2(openingFloat))}` });
+    renderShift();
+    toast('Shift opened', 'success');
+  });
+
+  qs('#closeShiftForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const raw = qs('#declaredCash').value.trim();
+    const declaredCash = Number(raw);
+    const note = qs('#shiftNote').value.trim();
+    if (!raw || !(declaredCash >= 0)) { qs('#declaredCashErr').textContent = 'Enter the cash you counted'; return; }
+    const { expectedCash } = shiftReport(shift);
+    if (round2(declaredCash) !== expectedCash && note.length < 3) {
+      qs('#declaredCashErr').textContent = `Drawer should hold ${fmtMoney(expectedCash)}; add a note explaining the difference`;
+      return;
+    }
+    Object.assign(shift, { closedAt: Date.now(), declaredCash: round2(declaredCash), expectedCash, note });
+    save('shift', { target: shift.userName, note: `Closed, declared ${fmtMoney(round2(declaredCash))} of ${fmtMoney(expectedCash)}` });
+    renderShift();
+    showShiftReport(shift);
+  });
+}
+
+/* Audit log
+   Append-only: every save() that changed something writes one entry with the actor, the
+   action and the before/after copy of each record; entries are never edited or deleted.
+   The log is kept in this browser's storage only and is not relayed to other terminals.
+   Removals can be undone for UNDO_WINDOW_MS, which logs its own entry. */
+const AUDIT_ACTIONS = {
+  park: 'Vehicle parked', remove: 'Vehicle removed', 'fee-override': 'Fee override', undo: 'Removal undone',
+  void: 'Invoice voided', reprint: 'Receipt reprinted', ticket: 'Ticket reprinted', 'no-show': 'No-show charged',
+  reservation: 'Reservation', pass: 'Pass', watchlist: 'Watchlist', shift: 'Shift', config: 'Settings changed', layout: 'Layout changed',
+  user: 'Staff account', reset: 'Data reset', restore: 'Backup restored', import: 'History imported',
+  alert: 'Alert handled', system: 'System', update: 'Other change',
+};
+const UNDO_WINDOW_MS = 30 * MINUTE;
+const AUDIT_LIMIT = 200;
+
+// Slot claims are written outside save(); their changes join the next audit entry
+const unloggedChanges = [];
+// PIN hashes stay out of the log
+const redactChange = change => {
+  if (change.store !== 'config' || change.key !== 'users') return change;
+  const strip = users => users && users.map(({ salt, pinHash, ...u }) => u);
+  return { ...change, before: strip(change.before), after: strip(change.after) };
+};
+
+const auditEntries = (from = 0, to = Date.now()) => {
+  if (!db) return Promise.resolve([]);
+  const index = db.transaction(AUDIT_STORE).objectStore(AUDIT_STORE).index('at');
+  return idbRequest(index.getAll(IDBKeyRange.bound(from, to))).then(list => list.reverse());
+};
+
+const isRemoval = e => e.action === 'remove' || e.action === 'fee-override';
+// Why a removal cannot be undone, or '' when it can
+const undoBlocker = (entry, undone) => {
+  const row = STATE.history.find(h => h.id === entry.ref?.historyId);
+  const slot = STATE.slots.find(s => s.id === entry.ref?.slotId);
+  if (undone.has(entry.id) || !row) return 'Already undone';
+  if (Date.now() - entry.at > UNDO_WINDOW_MS) return 'Too old to undo';
+  if (!can('audit') && entry.actor?.id !== currentUser.id) return 'Removed by someone else';
+  if (inClosedShift(row)) return 'Shift already closed';
+  if (!slot || slot.occupied || slot.maintenance) return `Slot ${entry.ref.slotId} is no longer free`;
+  if (STATE.slots.some(s => s.occupied && plateKey(s.vehicle.number) === plateKey(row.vehicleNumber))) return 'Vehicle is parked again';
+  return '';
+};
+
+async function undoRemoval(entry){
+  const row = STATE.history.find(h => h.id === entry.ref.historyId);
+  const parked = await updateSlotIfUnchanged(entry.ref.slotId, null, {
+    occupied: true,
+    vehicle: { number: row.vehicleNumber, owner: row.owner, type: row.type },
+    entryTime: row.entryTime,
+    parkedBy: row.entryBy,
+    ticket: row.ticketId || null,
+  });
+  if (!parked) { toast(`Slot ${entry.ref.slotId} was just taken`, 'error'); return; }
+  STATE.history = STATE.history.filter(h => h !== row);
+  save('undo', {
+    target: row.vehicleNumber,
+    note: `Back in slot ${entry.ref.slotId}${row.invoice ? `, invoice ${row.invoice.no} withdrawn` : ''}`,
+    ref: { auditId: entry.id, slotId: entry.ref.slotId, historyId: row.id },
+  });
+  navigate(currentPath());
+  toast(`${row.vehicleNumber} is back in slot ${entry.ref.slotId}`, 'success');
+}
+
+function showAuditEntry(entry){
+  showModal(`${AUDIT_ACTIONS[entry.action] || entry.action} · ${fmtTime(entry.at)}`, html`
+    <div class="info-row"><div class="label">By</div><div>${entry.actor?.name || 'System'}</div></div>
+    ${entry.target ? html`<div class="info-row"><div class="label">Target</div><div>${entry.target}</div></div>` : ''}
+    ${entry.note ? html`<div class="info-row"><div class="label">Note</div><div>${entry.note}</div></div>` : ''}
+    <div id="auditChanges"></div>
+  `);
+  // JSON goes in through textContent so stored values are never parsed as markup
+  entry.changes.forEach(c => {
+    const block = document.createElement('div');
+    block.innerHTML = html`<h4 class="subsection-title">${cap(c.store)} · ${c.key}</h4><div class="two-col"><pre class="glass json-pane"></pre><pre class="glass json-pane"></pre></div>`;
+    const [before, after] = block.querySelectorAll('pre');
+    before.textContent = `Before\n${JSON.stringify(c.before, null, 2)}`;
+    after.textContent = `After\n${JSON.stringify(c.after, null, 2)}`;
+    qs('#auditChanges').appendChild(block);
+  });
+}
+
+function renderAudit() {
+  clearView();
+  const params = routeParams();
+  const f = {
+    action: params.get('action') || '',
+    actor: params.get('actor') || '',
+    from: params.get('from') || '',
+    to: params.get('to') || '',
+    q: params.get('q') || '',
+  };
+  const el = document.createElement('div');
+  el.innerHTML = html`<div class="glass pad">Loading audit log…</div>`;
+  view().appendChild(el);
+
+  const from = f.from ? dayStartFromInput(f.from) : 0;
+  const to = f.to ? dayEndFromInput(f.to) : Date.now();
+  auditEntries(from, to).then(all => {
+    if (currentPath() !== '/audit') return;
+    // attendants see their own actions only
+    const visible = can('audit') ? all : all.filter(e => e.actor?.id === currentUser.id);
+    const undone = new Set(visible.filter(e => e.action === 'undo').map(e => e.ref?.auditId));
+    const removals = visible.filter(e => isRemoval(e) && Date.now() - e.at <= UNDO_WINDOW_MS);
+    const q = f.q.toLowerCase();
+    const list = visible.filter(e =>
+      (!f.action || e.action === f.action) &&
+      (!f.actor || e.actor?.id === f.actor) &&
+      (!q || `${e.target || ''} ${e.note || ''}`.toLowerCase().includes(q)));
+    const actors = [...new Map(visible.filter(e => e.actor).map(e => [e.actor.id, e.actor.name]))];
+
+    el.innerHTML = html`
+      ${removals.length ? html`
+        <div class="glass pad mb-16">
+          <h3 class="mt-0">Recent removals</h3>
+          <p class="muted">A removal can be undone within ${UNDO_WINDOW_MS / MINUTE} minutes: the vehicle goes back to its slot with the original entry time and its history row and invoice are withdrawn.</p>
+          ${removals.map(e => {
+            const blocker = undoBlocker(e, undone);
+            return html`<div class="info-row"><div class="label">${fmtTime(e.at)} · ${e.actor?.name || 'System'}</div><div>${e.target} — ${e.note || ''}
+              ${blocker ? html`<span class="badge">${blocker}</span>` : html`<button class="btn btn-outline" data-action="undo" data-id="${e.id}"><i class="fa-solid fa-rotate-left"></i> Undo</button>`}</div></div>`;
+          })}
+        </div>` : ''}
+      <div class="glass pad">
+        <form id="auditFilters" class="form filters">
+          <div class="form-row"><label>Action</label>
+            <select data-filter="action"><option value="">All</option>${Object.entries(AUDIT_ACTIONS).map(([k, label]) => html`<option value="${k}" ${f.action === k ? 'selected' : ''}>${label}</option>`)}</select>
+          </div>
+          ${can('audit') ? html`<div class="form-row"><label>Staff</label>
+            <select data-filter="actor"><option value="">All</option>${actors.map(([id, name]) => html`<option value="${id}" ${f.actor === id ? 'selected' : ''}>${name}</option>`)}</select>
+          </div>` : ''}
+          <div class="form-row"><label>From</label><input type="date" class="input" data-filter="from" value="${f.from}" /></div>
+          <div class="form-row"><label>To</label><input type="date" class="input" data-filter="to" value="${f.to}" /></div>
+          <div class="form-row"><label>Search</label><input type="search" class="input" data-filter="q" value="${f.q}" placeholder="Vehicle, invoice, note" /></div>
+        </form>
+        <p class="muted">Changes made on this terminal. Other terminals keep their own log.</p>
+        <p class="muted">${list.length} entr${list.length === 1 ? 'y' : 'ies'}${list.length > AUDIT_LIMIT ? `, showing the latest ${AUDIT_LIMIT}` : ''}</p>
+        <div class="table-wrap">
+          <table class="table">
+            <thead><tr><th>Time</th><th>Action</th><th>By</th><th>Target</th><th>Note</th><th>Records</th><th></th></tr></thead>
+            <tbody>${list.slice(0, AUDIT_LIMIT).map(e => html`
+              <tr>
+                <td class="nowrap">${fmtTime(e.at)}</td>
+                <td>${AUDIT_ACTIONS[e.action] || e.action}</td>
+                <td>${e.actor?.name || 'System'}</td>
+                <td>${e.target || '—'}</td>
+                <td>${e.note || ''}</td>
+                <td>${e.changes.length}</td>
+                <td><button class="btn btn-details" data-action="audit-details" data-id="${e.id}"><i class="fa-solid fa-eye"></i></button></td>
+              </tr>`)}${list.length ? '' : html`<tr><td class="empty-row" colspan="7">No entries match</td></tr>`}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    qsa('#auditFilters [data-filter]').forEach(input => input.addEventListener('change', () => {
+      const next = new URLSearchParams();
+      qsa('#auditFilters [data-filter]').forEach(i => { if (i.value) next.set(i.dataset.filter, i.value); });
+      location.hash = `#/audit${next.toString() ? `?${next}` : ''}`;
+    }));
+    const byId = id => all.find(e => e.id === id);
+    qsa('.btn[data-action="audit-details"]').forEach(btn => btn.addEventListener('click', e => showAuditEntry(byId(e.currentTarget.dataset.id))));
+    qsa('.btn[data-action="undo"]').forEach(btn => btn.addEventListener('click', e => {
+      const entry = byId(e.currentTarget.dataset.id);
+      showConfirm('Undo removal?', html`
+        <div class="info-row"><div class="label">Vehicle</div><div>${entry.target}</div></div>
+        <div class="info-row"><div class="label">Removed</div><div>${fmtTime(entry.at)}</div></div>
+        <div class="info-row"><div class="label">Details</div><div>${entry.note || ''}</div></div>
+      `, () => undoRemoval(entry));
+    }));
+  }).catch(err => reportStorageError('Could not read the audit log', err));
+}
+
+/* History page
+   Filters, sort order and page live in the hash (#/history?type=truck&from=...) so
+   a view can be bookmarked or shared. */
+const HISTORY_PAGE_SIZE = 25;
+const HISTORY_COLUMNS = [
+  ['vehicleNumber', 'Vehicle number'], ['owner', 'Owner'], ['type', 'Vehicle type'], ['slotId', 'Slot number'],
+  ['entryTime', 'Entry time'], ['exitTime', 'Exit time'], ['durationMs', 'Total duration'], ['fee', 'Fee collected'],
+];
+const historyQuery = (params = routeParams()) => ({
+  type: params.get('type') || '',
+  slot: params.get('slot') || '',
+  feeMin: params.get('feeMin') || '',
+  feeMax: params.get('feeMax') || '',
+  on: params.get('on') === 'entry' ? 'entry' : 'exit',
+  from: params.get('from') || '',
+  to: params.get('to') || '',
+  sort: HISTORY_COLUMNS.some(([k]) => k === params.get('sort')) ? params.get('sort') : '',
+  dir: params.get('dir') === 'asc' ? 'asc' : 'desc',
+  page: Math.max(1, parseInt(params.get('page')) || 1),
+});
+const filterHistory = q => {
+  const field = q.on === 'entry' ? 'entryTime' : 'exitTime';
+  const from = q.from ? dayStartFromInput(q.from) : -Infinity;
+  const to = q.to ? dayEndFromInput(q.to) : Infinity;
+  const rows = STATE.history.filter(h =>
+    (!q.type || h.type === q.type) &&
+    (!q.slot || h.slotId === parseInt(q.slot)) &&
+    (q.feeMin === '' || h.fee >= Number(q.feeMin)) &&
+    (q.feeMax === '' || h.fee <= Number(q.feeMax)) &&
+    h[field] >= from && h[field] <= to
+  );
+  if (!q.sort) return rows; // stored order: most recent first
+  const sign = q.dir === 'asc' ? 1 : -1;
+  return rows.sort((a,b) => {
+    const x = a[q.sort], y = b[q.sort];
+    return sign * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+  });
+};
+const historyHash = (q, changes = {}) => {
+  const next = { ...q, ...changes };
+  const params = new URLSearchParams();
+  Object.entries(next).forEach(([k, v]) => {
+    if (v === '' || (k === 'page' && v === 1) || (k === 'on' && v === 'exit') || (k === 'dir' && !next.sort)) return;
+    params.set(k, v);
+  });
+  const search = params.toString();
+  return `#/history${search ? `?${search}` : ''}`;
+};
+
+function renderHistory() {
+  clearView();
+  const q = historyQuery();
+  const filtered = filterHistory(q);
+  const pages = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+  const page = Math.min(q.page, pages);
+  const pageRows = filtered.slice((page - 1) * HISTORY_PAGE_SIZE, page * HISTORY_PAGE_SIZE);
+  const filtering = ['type','slot','feeMin','feeMax','from','to'].some(k => q[k] !== '');
+
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+
+  const rows = pageRows.map(h => html`
+    <tr id="hist-${h.id}">
+      <td><a href="${profileHref(h.vehicleNumber)}">${h.vehicleNumber}</a></td>
+      <td>${h.owner}</td>
+      <td>${cap(h.type)}</td>
+      <td>${h.slotId}</td>
+      <td>${fmtTime(h.entryTime)}</td>
+      <td>${fmtTime(h.exitTime)}</td>
+      <td>${h.noShow ? 'No-show' : fmtDuration(h.durationMs)}</td>
+      <td>${fmtMoney(h.fee)}${h.passId ? html` <span class="badge" title="${h.passId}"><i class="fa-solid fa-id-card"></i> Pass</span>` : ''}</td>
+      <td class="nowrap">${h.entryBy?.name || '—'} → ${h.exitBy?.name || '—'}</td>
+      <td class="nowrap">${h.invoice ? html`
+        <span class="${h.invoice.status === 'void' ? 'label' : ''}" title="${h.invoice.status === 'void' ? `Void: ${h.invoice.voidReason}` : ''}">${h.invoice.no}${h.invoice.status === 'void' ? ' (void)' : ''}</span>
+        <button class="btn btn-details" data-action="reprint" data-id="${h.id}" title="Reprint receipt"><i class="fa-solid fa-print"></i></button>
+        ${isVoided(h) || inClosedShift(h) || !can('void') ? '' : html`<button class="btn btn-remove" data-action="void" data-id="${h.id}" title="Void invoice"><i class="fa-solid fa-ban"></i></button>`}` : '—'}
+      </td>
+    </tr>
+  `);
+
+  const sortIcon = key => q.sort !== key ? 'fa-sort' : q.dir === 'asc' ? 'fa-sort-up' : 'fa-sort-down';
+  const first = filtered.length ? (page - 1) * HISTORY_PAGE_SIZE + 1 : 0;
+
+  el.innerHTML = html`
+    <div class="bar mb-10">
+      <h3 class="m-0">Parking history</h3>
+      <div class="row">
+        <button class="btn btn-outline" id="exportCsv"><i class="fa-solid fa-file-csv"></i> Export CSV</button>
+        <button class="btn btn-outline" id="exportXls"><i class="fa-solid fa-file-excel"></i> Export Excel</button>
+      </div>
+    </div>
+    <form id="historyFilters" class="form filters mb-10">
+      <div class="form-row">
+        <label>Vehicle type</label>
+        <select data-filter="type">
+          <option value="">All</option>
+          ${['car','bike','truck'].map(t => html`<option value="${t}" ${q.type === t ? 'selected' : ''}>${cap(t)}</option>`)}
+        </select>
+      </div>
+      <div class="form-row">
+        <label>Slot</label>
+        <input type="number" min="1" class="input w-90" data-filter="slot" value="${q.slot}" />
+      </div>
+      <div class="form-row">
+        <label>Fee from / to (₹)</label>
+        <div class="row tight">
+          <input type="number" min="0" class="input w-100" data-filter="feeMin" value="${q.feeMin}" />
+          <input type="number" min="0" class="input w-100" data-filter="feeMax" value="${q.feeMax}" />
+        </div>
+      </div>
+      <div class="form-row">
+        <label>Dates by</label>
+        <select data-filter="on">
+          <option value="exit" ${q.on === 'exit' ? 'selected' : ''}>Exit time</option>
+          <option value="entry" ${q.on === 'entry' ? 'selected' : ''}>Entry time</option>
+        </select>
+      </div>
+      <div class="form-row">
+        <label>From / to</label>
+        <div class="row tight">
+          <input type="date" class="input" data-filter="from" value="${q.from}" />
+          <input type="date" class="input" data-filter="to" value="${q.to}" />
+        </div>
+      </div>
+      ${filtering ? html`<a href="#/history" class="btn btn-outline"><i class="fa-solid fa-filter-circle-xmark"></i> Clear</a>` : ''}
+    </form>
+    <div class="table-wrap">
+      <table class="table">
+        <thead>
+          <tr>
+            ${HISTORY_COLUMNS.map(([key, label]) => html`<th class="sortable nowrap" data-sort="${key}">${label} <i class="fa-solid ${sortIcon(key)}"></i></th>`)}
+            <th>Staff in → out</th>
+            <th>Invoice</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td class="empty-row" colspan="10">${filtering ? 'No history matches these filters' : 'No history yet'}</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+    <div class="bar mt-10">
+      <div class="muted">Showing ${first}–${first ? first + pageRows.length - 1 : 0} of ${filtered.length}${filtering ? ` (filtered from ${STATE.history.length})` : ''}</div>
+      <div class="row center">
+        <a class="btn btn-outline" href="${historyHash(q, { page: page - 1 })}" ${page <= 1 ? html`aria-disabled="true"` : ''}><i class="fa-solid fa-chevron-left"></i></a>
+        <span>Page ${page} of ${pages}</span>
+        <a class="btn btn-outline" href="${historyHash(q, { page: page + 1 })}" ${page >= pages ? html`aria-disabled="true"` : ''}><i class="fa-solid fa-chevron-right"></i></a>
+      </div>
+    </div>
+  `;
+  view().appendChild(el);
+
+  qsa('[data-filter]').forEach(input => input.addEventListener('change', () => {
+    location.hash = historyHash(q, { [input.dataset.filter]: input.value.trim(), page: 1 });
+  }));
+  qs('#historyFilters').addEventListener('submit', e => e.preventDefault());
+  qsa('th[data-sort]').forEach(th => th.addEventListener('click', () => {
+    const key = th.dataset.sort;
+    const dir = q.sort === key && q.dir === 'desc' ? 'asc' : 'desc';
+    location.hash = historyHash(q, { sort: key, dir, page: 1 });
+  }));
+
+  const rowById = id => STATE.history.find(h => h.id === id);
+  qsa('.btn[data-action="reprint"]').forEach(btn => btn.addEventListener('click', e => reprintInvoice(rowById(e.currentTarget.dataset.id))));
+  qsa('.btn[data-action="void"]').forEach(btn => btn.addEventListener('click', e => voidInvoiceFlow(rowById(e.currentTarget.dataset.id))));
+
+  qs('#exportCsv').addEventListener('click', () => exportCSV(filtered));
+  qs('#exportXls').addEventListener('click', () => exportExcel(filtered));
+}
+
+/* Analytics page */
+function renderAnalytics() {
+  clearView();
+
+  const range = analyticsRange();
+  const cur = periodStats(range.from, range.to);
+  const prev = periodStats(range.from - (range.to - range.from + 1), range.from - 1);
+  const currentlyParked = STATE.slots.filter(s => s.occupied).length;
+  const heat = occupancyHeatmap(range.from, range.to);
+  const peaks = heat.cells.filter(c => c.pct > 0).sort((a,b) => b.pct - a.pct).slice(0, 3);
+  const slotUse = slotUtilisation(range.from, range.to);
+  const presets = [['7', 'Last 7 days'], ['30', 'Last 30 days'], ['90', 'Last 90 days']];
+
+  const wrap = document.createElement('div');
+  wrap.innerHTML = html`
+    <form id="analyticsRange" class="glass form filters range-bar">
+      ${presets.map(([days, label]) => html`<button type="button" class="btn ${range.preset === days ? 'btn-primary' : 'btn-outline'}" data-days="${days}">${label}</button>`)}
+      <div class="form-row"><label>From</label><input type="date" class="input" id="rangeFrom" value="${dateInputValue(range.from)}" /></div>
+      <div class="form-row"><label>To</label><input type="date" class="input" id="rangeTo" value="${dateInputValue(range.to)}" /></div>
+      <span class="muted">${range.days} day${range.days === 1 ? '' : 's'}, compared with the ${range.days} before</span>
+    </form>
+    <div class="kpis">
+      ${kpiHtml('Vehicles', cur.vehicles, prev.vehicles, String)}
+      ${kpiHtml('Revenue', cur.revenue, prev.revenue, fmtMoney)}
+      ${kpiHtml('Average stay', cur.avgStay, prev.avgStay, fmtDuration)}
+      ${kpiHtml('Average occupancy', cur.occupancy, prev.occupancy, v => `${(v * 100).toFixed(1)}%`)}
+      ${kpiHtml('Revenue per slot per day', cur.revPas, prev.revPas, fmtMoney)}
+      <div class="glass kpi"><div class="label">Currently parked</div><div class="value">${currentlyParked}</div></div>
+    </div>
+    <div class="charts">
+      <canvas class="glass chart" id="barChart" height="220"></canvas>
+      <canvas class="glass chart" id="pieChart" height="220"></canvas>
+      <canvas class="glass chart" id="lineChart" height="220"></canvas>
+      <canvas class="glass chart" id="dwellChart" height="220"></canvas>
+    </div>
+    <div class="glass pad mt-16">
+      <h3 class="mt-0">Occupancy by hour and weekday</h3>
+      <p class="muted">Share of slots in use, rebuilt from entry and exit times.
+        ${peaks.length ? `Busiest: ${peaks.map(c => `${WEEKDAYS[c.day]} ${pad2(c.hour)}:00 (${Math.round(c.pct * 100)}%)`).join(', ')}.` : 'No stays in this range.'}</p>
+      <div class="table-wrap">
+        <table class="table small">
+          <thead><tr><th></th>${Array.from({ length: 24 }, (_, h) => html`<th>${pad2(h)}</th>`)}</tr></thead>
+          <tbody>${WEEKDAYS.map((day, d) => html`<tr><th>${day}</th>${heat.cells.filter(c => c.day === d).map(c => html`
+            <td title="${day} ${pad2(c.hour)}:00 · ${Math.round(c.pct * 100)}%" class="heat" data-heat="${(c.pct * 0.85).toFixed(2)}">${c.hours ? Math.round(c.pct * 100) : ''}</td>`)}</tr>`)}</tbody>
+        </table>
+      </div>
+    </div>
+    <div class="glass pad mt-16">
+      <h3 class="mt-0">Slot use</h3>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Slot</th><th>Type</th><th>Location</th><th>Visits</th><th>Hours occupied</th><th>Use rate</th><th>Revenue</th></tr></thead>
+          <tbody>${slotUse.map(u => html`
+            <tr>
+              <td>${u.slot.id}</td>
+              <td>${cap(u.slot.type)}</td>
+              <td>${[u.slot.level, u.slot.zone, u.slot.row].filter(Boolean).join(' · ')}</td>
+              <td>${u.visits}</td>
+              <td>${(u.occupiedMs / HOUR).toFixed(1)}</td>
+              <td>${Math.round(u.rate * 100)}%${u.slot.maintenance ? html` <span class="badge">Maintenance</span>` : ''}</td>
+              <td>${fmtMoney(u.revenue)}</td>
+            </tr>`)}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  view().appendChild(wrap);
+  wrap.querySelectorAll('td[data-heat]').forEach(td => { td.style.background = `rgba(0,229,255,${td.dataset.heat})`; });
+
+  const setRange = (from, to) => { location.hash = `#/analytics?from=${from}&to=${to}`; };
+  qsa('#analyticsRange [data-days]').forEach(btn => btn.addEventListener('click', () => {
+    location.hash = `#/analytics?days=${btn.dataset.days}`;
+  }));
+  ['#rangeFrom', '#rangeTo'].forEach(id => qs(id).addEventListener('change', () => {
+    const from = qs('#rangeFrom').value, to = qs('#rangeTo').value;
+    if (!from || !to) return;
+    if (from > to) { toast('Start date must be before the end date', 'error'); return; }
+    setRange(from, to);
+  }));
+  qs('#analyticsRange').addEventListener('submit', e => e.preventDefault());
+
+  const types = typeCounts(cur.visits);
+  const typeLabels = Object.keys(types).map(cap), typeColors = Object.keys(types).map(t => TYPE_COLORS[t]);
+  const revenue = revenueByDay(range.from, range.to);
+  const dwell = dwellHistogram(cur.visits);
+  renderChart(qs('#barChart'), { type: 'bar', title: 'Vehicles by type', labels: typeLabels, colors: typeColors,
+    series: [{ name: 'Vehicles', values: Object.values(types) }] });
+  renderChart(qs('#pieChart'), { type: 'pie', title: 'Share by type', labels: typeLabels, colors: typeColors,
+    series: [{ name: 'Vehicles', values: Object.values(types) }] });
+  renderChart(qs('#lineChart'), { type: 'line', title: 'Revenue by day', labels: revenue.map(d => d.label), format: fmtMoney,
+    series: [{ name: 'Revenue', values: revenue.map(d => d.value), color: '#00e5ff' }] });
+  renderChart(qs('#dwellChart'), { type: 'bar', title: 'Length of stay', labels: dwell.map(b => b.label),
+    series: [{ name: 'Vehicles', values: dwell.map(b => b.value), color: '#00e5ff' }] });
+}
+
+function renderForecast() {
+  clearView();
+  const params = routeParams();
+  const series = forecastSeries();
+  const today = dayStart(Date.now());
+  const base = seasonalBaseline(series, today);
+  const historyDays = Math.round((today - series.from) / DAY_MS);
+  const el = document.createElement('div');
+  if (!base.days.some(st => st.n)) {
+    el.className = 'glass';
+    el.style.padding = '16px';
+    el.innerHTML = html`<h3 class="mt-0">Forecast</h3><p>Forecasts need at least one full day of parking history. Check back tomorrow.</p>`;
+    view().appendChild(el);
+    return;
+  }
+
+  const tomorrow = new Date(today); tomorrow.setDate(tomorrow.getDate() + 1);
+  // a missing or unreadable ?day= shows tomorrow
+  const requested = dayStartFromInput(params.get('day'));
+  const day = Number.isFinite(requested) ? requested : tomorrow.getTime();
+  const dayValue = dateInputValue(day);
+  const hourValue = Math.min(23, Math.max(0, Number(params.get('hour') ?? 9) || 0));
+  const hours = Array.from({ length: 24 }, (_, h) => new Date(day).setHours(h));
+  const hourly = hours.map(t => forecastHour(base, t) || { mean: 0, low: 0, high: 0 });
+  const at = hourly[hourValue];
+  const busiest = hourly.reduce((best, f, h) => f.mean > hourly[best].mean ? h : best, 0);
+  const slots = STATE.slots.length;
+
+  const week = Array.from({ length: 7 }, (_, i) => { const d = new Date(today); d.setDate(d.getDate() + i); return d.getTime(); });
+  const revenue = week.map(t => forecastRevenue(base, t) || { mean: 0, low: 0, high: 0, sd: 0 });
+  const weekMean = revenue.reduce((sum,f) => sum + f.mean, 0);
+  const weekSpread = FORECAST_Z * Math.sqrt(revenue.reduce((sum,f) => sum + f.sd ** 2, 0));
+  const acc = forecastAccuracy(series);
+  const slotsText = v => `${v.toFixed(1)} of ${slots}`;
+  const pct = v => v === null ? '—' : `${Math.round(v * 100)}%`;
+
+  el.innerHTML = html`
+    <p class="muted mt-0">Based on the same weekday and hour over the last ${FORECAST_WEEKS} weeks (${historyDays} day${historyDays === 1 ? '' : 's'} of history available). Ranges are 95% bands.</p>
+    <div class="glass pad mb-16">
+      <h3 class="mt-0">Occupancy</h3>
+      <form id="forecastForm" class="form filters">
+        <div class="form-row"><label>Day</label><input type="date" class="input" id="forecastDay" value="${dayValue}" /></div>
+        <div class="form-row"><label>Hour</label>
+          <select id="forecastHour">${hours.map((_, h) => html`<option value="${h}" ${h === hourValue ? 'selected' : ''}>${pad2(h)}:00</option>`)}</select>
+        </div>
+      </form>
+      <div class="kpis">
+        <div class="glass kpi"><div class="label">${WEEKDAYS[new Date(day).getDay()]} ${dayValue} at ${pad2(hourValue)}:00</div><div class="value">${Math.round(at.mean / slots * 100)}% full</div><div class="label">${slotsText(at.mean)} slots (${at.low.toFixed(1)}–${at.high.toFixed(1)})</div></div>
+        <div class="glass kpi"><div class="label">Busiest hour</div><div class="value">${pad2(busiest)}:00</div><div class="label">${slotsText(hourly[busiest].mean)} slots</div></div>
+      </div>
+      <canvas class="glass chart" id="occupancyForecast" height="240"></canvas>
+    </div>
+    <div class="glass pad mb-16">
+      <h3 class="mt-0">Revenue, next 7 days</h3>
+      <div class="kpis">
+        <div class="glass kpi"><div class="label">Expected this week</div><div class="value">${fmtMoney(round2(weekMean))}</div><div class="label">${fmtMoney(round2(Math.max(0, weekMean - weekSpread)))}–${fmtMoney(round2(weekMean + weekSpread))}</div></div>
+        <div class="glass kpi"><div class="label">Today</div><div class="value">${fmtMoney(round2(revenue[0].mean))}</div><div class="label">${fmtMoney(round2(revenue[0].low))}–${fmtMoney(round2(revenue[0].high))}</div></div>
+      </div>
+      <canvas class="glass chart" id="revenueForecast" height="240"></canvas>
+    </div>
+    <div class="glass pad">
+      <h3 class="mt-0">Accuracy, last ${BACKTEST_DAYS} days</h3>
+      <p class="muted">Each day is forecast from the history before it and compared with what happened.</p>
+      ${acc.days.length ? html`
+      <div class="kpis">
+        <div class="glass kpi"><div class="label">Revenue error</div><div class="value">${pct(acc.revenueError)}</div><div class="label">of actual revenue</div></div>
+        <div class="glass kpi"><div class="label">Occupancy error</div><div class="value">${acc.occupancyMae === null ? '—' : acc.occupancyMae.toFixed(1)}</div><div class="label">slots per hour, on average</div></div>
+        <div class="glass kpi"><div class="label">Inside the band</div><div class="value">${pct(acc.coverage)}</div><div class="label">of days and hours (aim: 95%)</div></div>
+      </div>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Day</th><th>Forecast revenue</th><th>Actual</th><th>Error</th><th>Occupancy error</th></tr></thead>
+          <tbody>${acc.days.map(d => {
+            const mae = d.hours.length ? d.hours.reduce((sum,h) => sum + Math.abs(h.f.mean - h.actual), 0) / d.hours.length : null;
+            return html`<tr>
+              <td>${WEEKDAYS[new Date(d.day).getDay()]} ${dateInputValue(d.day)}</td>
+              <td>${fmtMoney(round2(d.revenue.mean))} (${fmtMoney(round2(d.revenue.low))}–${fmtMoney(round2(d.revenue.high))})</td>
+              <td>${fmtMoney(d.actual)}</td>
+              <td>${d.actual >= d.revenue.low && d.actual <= d.revenue.high ? '' : html`<span class="badge">Outside band</span> `}${fmtMoney(round2(d.actual - d.revenue.mean))}</td>
+              <td>${mae === null ? '—' : `${mae.toFixed(1)} slots`}</td>
+            </tr>`;
+          })}</tbody>
+        </table>
+      </div>` : html`<p>Not enough history yet: accuracy needs days that have earlier days to forecast from.</p>`}
+    </div>
+  `;
+  view().appendChild(el);
+
+  const update = () => { location.hash = `#/forecast?day=${qs('#forecastDay').value || dayValue}&hour=${qs('#forecastHour').value}`; };
+  qs('#forecastDay').addEventListener('change', update);
+  qs('#forecastHour').addEventListener('change', update);
+  qs('#forecastForm').addEventListener('submit', e => e.preventDefault());
+
+  renderChart(qs('#occupancyForecast'), { type: 'line', title: `Occupied slots, ${WEEKDAYS[new Date(day).getDay()]} ${dayValue}`,
+    labels: hours.map((_, h) => `${pad2(h)}:00`), format: v => v.toFixed(1),
+    series: [{ name: 'Occupied slots', values: hourly.map(f => f.mean), band: { low: hourly.map(f => f.low), high: hourly.map(f => f.high) }, color: '#00e5ff' }] });
+  renderChart(qs('#revenueForecast'), { type: 'line', title: 'Expected revenue by day',
+    labels: week.map(t => `${WEEKDAYS[new Date(t).getDay()]} ${new Date(t).getDate()}`), format: v => fmtMoney(round2(v)),
+    series: [{ name: 'Revenue', values: revenue.map(f => f.mean), band: { low: revenue.map(f => f.low), high: revenue.map(f => f.high) }, color: '#ff8c1a' }] });
+}
+
+/* Contact page */
+function renderContact() {
+  clearView();
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+  el.innerHTML = html`
+    <h3 class="mt-0">Contact & Support</h3>
+    <p>Questions, feedback, or feature requests? Share your thoughts.</p>
+    <form id="contactForm" class="form">
+      <div class="form-row">
+        <label>Your name</label>
+        <input type="text" id="cName" class="input" placeholder="Priya" />
+        <div class="error" id="cNameErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Email</label>
+        <input type="email" id="cEmail" class="input" placeholder="you@example.com" />
+        <div class="error" id="cEmailErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Message</label>
+        <textarea id="cMsg" class="input" rows="5" placeholder="Describe your issue or idea"></textarea>
+        <div class="error" id="cMsgErr"></div>
+      </div>
+      <button class="btn btn-primary" type="submit"><i class="fa-solid fa-paper-plane"></i> Send</button>
+    </form>
+  `;
+  view().appendChild(el);
+
+  qs('#contactForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = qs('#cName').value.trim();
+    const email = qs('#cEmail').value.trim();
+    const msg = qs('#cMsg').value.trim();
+    let ok = true;
+
+    ['#cName','#cEmail','#cMsg'].forEach(id => qs(id).classList.remove('invalid'));
+    ['#cNameErr','#cEmailErr','#cMsgErr'].forEach(id => qs(id).textContent = '');
+
+    if (name.length < 2) { qs('#cNameErr').textContent='Enter a valid name'; qs('#cName').classList.add('invalid'); ok=false; }
+    if (!/^\S+@\S+\.\S+$/.test(email)) { qs('#cEmailErr').textContent='Enter a valid email'; qs('#cEmail').classList.add('invalid'); ok=false; }
+    if (msg.length < 10) { qs('#cMsgErr').textContent='Please provide more details'; qs('#cMsg').classList.add('invalid'); ok=false; }
+
+    if (!ok) return;
+    toast('Message sent. We’ll get back to you soon.', 'success');
+  });
+}
+
+/* Reservations page */
+function renderReservations() {
+  clearView();
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+
+  const order = { active: 0, fulfilled: 1, expired: 2, cancelled: 3 };
+  const list = [...STATE.reservations].sort((a,b) => (order[a.status] - order[b.status]) || (a.from - b.from));
+  const rows = list.map(r => html`
+    <tr>
+      <td>${r.id}</td>
+      <td>${r.vehicleNumber}</td>
+      <td>${r.owner}</td>
+      <td>${cap(r.type)}</td>
+      <td>${r.slotId}</td>
+      <td>${fmtTime(r.from)}</td>
+      <td>${fmtTime(r.to)}</td>
+      <td><span class="badge">${cap(r.status)}</span></td>
+      <td>${r.status === 'active' ? html`<button class="btn btn-remove" data-action="cancel" data-id="${r.id}"><i class="fa-solid fa-xmark"></i> Cancel</button>` : ''}</td>
+    </tr>
+  `);
+
+  el.innerHTML = html`
+    <h3 class="mt-0">Book a slot</h3>
+    <form id="reservationForm" class="form">
+      <div class="form-row">
+        <label>Vehicle number</label>
+        ${plateFieldHtml('resNumber')}
+      </div>
+      <div class="form-row">
+        <label>Owner name</label>
+        <input type="text" id="resOwner" class="input" placeholder="Priya" />
+        <div class="error" id="resOwnerErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Vehicle type</label>
+        <select id="resType">
+          <option value="">Select type</option>
+          <option value="car">Car</option>
+          <option value="bike">Bike</option>
+          <option value="truck">Truck</option>
+        </select>
+        <div class="error" id="resTypeErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Arrival window</label>
+        <div class="row">
+          <input type="datetime-local" id="resFrom" class="input" />
+          <input type="datetime-local" id="resTo" class="input" />
+        </div>
+        <div class="error" id="resWindowErr"></div>
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-calendar-check"></i> Reserve slot</button>
+    </form>
+    <h3>Reservations</h3>
+    <div class="table-wrap">
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Booking</th><th>Vehicle number</th><th>Owner</th><th>Vehicle type</th><th>Slot number</th>
+            <th>From</th><th>To</th><th>Status</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td class="empty-row" colspan="9">No reservations yet</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `;
+  view().appendChild(el);
+
+  watchPlateField('resNumber');
+  qs('#reservationForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const plate = readPlateField('resNumber');
+    const number = plate.number;
+    const owner = capWords(qs('#resOwner').value.trim());
+    const type = qs('#resType').value;
+    const from = new Date(qs('#resFrom').value).getTime();
+    const to = new Date(qs('#resTo').value).getTime();
+
+    let valid = true;
+    ['#resNumber','#resOwner','#resType','#resFrom','#resTo'].forEach(id => qs(id).classList.remove('invalid'));
+    ['#resNumberErr','#resOwnerErr','#resTypeErr','#resWindowErr'].forEach(id => qs(id).textContent = '');
+    const fail = (errId, inputs, msg) => {
+      qs(errId).textContent = msg;
+      inputs.forEach(id => qs(id).classList.add('invalid'));
+      valid = false;
+    };
+    if (plate.error) fail('#resNumberErr', ['#resNumber'], plate.error);
+    else if (STATE.reservations.some(r => r.vehicleNumber === number && r.status === 'active' && from < r.to && r.from < to)) {
+      fail('#resNumberErr', ['#resNumber'], 'This vehicle already has a booking in that window');
+    }
+    if (!owner || owner.length < 2) fail('#resOwnerErr', ['#resOwner'], 'Enter owner name');
+    if (!['car','bike','truck'].includes(type)) fail('#resTypeErr', ['#resType'], 'Select vehicle type');
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from || to <= Date.now()) {
+      fail('#resWindowErr', ['#resFrom','#resTo'], 'Choose a window that ends in the future and after it starts');
+    }
+    if (!valid) return;
+
+    const slot = slotForReservation(type, from, to);
+    if (!slot) { toast('No slot is free for that window', 'error'); return; }
+
+    const booking = { id: uid('R'), vehicleNumber: number, owner, type, slotId: slot.id, from, to, status: 'active', createdAt: Date.now() };
+    STATE.reservations.push(booking);
+    save('reservation', { target: number, note: `Created ${booking.id}${plate.override ? ' · unrecognised plate accepted' : ''}` });
+    navigate('/reservations');
+    toast(`Reserved slot ${slot.id} for ${number}`, 'success');
+  });
+
+  qsa('.btn[data-action="cancel"]').forEach(btn => btn.addEventListener('click', e => {
+    const r = STATE.reservations.find(x => x.id === e.currentTarget.dataset.id);
+    showConfirm('Cancel reservation?', html`
+      <div class="info-row"><div class="label">Vehicle</div><div>${r.vehicleNumber}</div></div>
+      <div class="info-row"><div class="label">Slot</div><div>${r.slotId}</div></div>
+      <div class="info-row"><div class="label">Window</div><div>${fmtTime(r.from)} – ${fmtTime(r.to)}</div></div>
+    `, () => {
+      r.status = 'cancelled';
+      save('reservation', { target: r.vehicleNumber, note: `Cancelled ${r.id}` });
+      navigate('/reservations');
+      toast(`Reservation ${r.id} cancelled`, 'success');
+    });
+  }));
+}
+
+/* Passes page */
+function renderPasses() {
+  clearView();
+  const now = Date.now();
+  const statusOf = p => p.status === 'revoked' ? 'Revoked' : p.validTo < now ? 'Expired' : p.validFrom > now ? 'Upcoming' : 'Active';
+  const dedicatedTaken = new Set(STATE.passes.filter(p => p.slotId && p.status === 'active' && p.validTo >= now).map(p => p.slotId));
+
+  const passRow = p => html`
+    <tr>
+      <td>${p.id}</td>
+      <td>${p.vehicleNumber}</td>
+      <td>${p.owner}</td>
+      <td>${cap(p.type)}</td>
+      <td>${new Date(p.validFrom).toLocaleDateString()} – ${new Date(p.validTo).toLocaleDateString()}</td>
+      <td>${p.slotId || '-'}</td>
+      <td>${p.discountPct}%</td>
+      <td><span class="badge">${statusOf(p)}</span></td>
+      <td class="nowrap">
+        ${p.status === 'active' ? html`
+          <button class="btn btn-outline" data-action="renew" data-id="${p.id}"><i class="fa-solid fa-rotate"></i> Renew</button>
+          <button class="btn btn-remove" data-action="revoke" data-id="${p.id}"><i class="fa-solid fa-ban"></i> Revoke</button>` : ''}
+      </td>
+    </tr>
+  `;
+  const expiring = expiringPasses(now);
+  const rows = [...STATE.passes].sort((a,b) => b.issuedAt - a.issuedAt).map(passRow);
+  const slotOptions = STATE.slots.filter(s => !dedicatedTaken.has(s.id))
+    .map(s => html`<option value="${s.id}">Slot ${s.id} (${slotTypeLabel(s.type)}, ${slotLocation(s)})</option>`);
+
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+  el.innerHTML = html`
+    <h3 class="mt-0">Issue pass</h3>
+    <form id="passForm" class="form">
+      <div class="form-row">
+        <label>Vehicle number</label>
+        ${plateFieldHtml('passNumber')}
+      </div>
+      <div class="form-row">
+        <label>Owner name</label>
+        <input type="text" id="passOwner" class="input" placeholder="Priya" />
+        <div class="error" id="passOwnerErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Pass type</label>
+        <select id="passType">
+          <option value="">Select type</option>
+          <option value="car">Car</option>
+          <option value="bike">Bike</option>
+          <option value="truck">Truck</option>
+        </select>
+        <div class="error" id="passTypeErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Valid from / to</label>
+        <div class="row">
+          <input type="date" id="passFrom" class="input" value="${dateInputValue(now)}" />
+          <input type="date" id="passTo" class="input" value="${dateInputValue(now + 29 * 86400000)}" />
+        </div>
+        <div class="error" id="passDatesErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Discount (%)</label>
+        <input type="number" min="0" max="100" id="passDiscount" class="input" value="100" />
+        <div class="error" id="passDiscountErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Dedicated slot</label>
+        <select id="passSlot"><option value="">None</option>${slotOptions}</select>
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-id-card"></i> Issue pass</button>
+    </form>
+    <h3>Expiring in ${STATE.config.passes.expiringDays} days</h3>
+    <div class="table-wrap">
+      <table class="table">
+        <thead><tr><th>Pass</th><th>Vehicle number</th><th>Owner</th><th>Type</th><th>Validity</th><th>Slot</th><th>Discount</th><th>Status</th><th></th></tr></thead>
+        <tbody>
+          ${expiring.length ? expiring.map(passRow) : html`<tr><td class="empty-row" colspan="9">No passes expiring soon</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+    <h3>All passes</h3>
+    <div class="table-wrap">
+      <table class="table">
+        <thead><tr><th>Pass</th><th>Vehicle number</th><th>Owner</th><th>Type</th><th>Validity</th><th>Slot</th><th>Discount</th><th>Status</th><th></th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td class="empty-row" colspan="9">No passes issued yet</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `;
+  view().appendChild(el);
+
+  watchPlateField('passNumber');
+  qs('#passForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const plate = readPlateField('passNumber');
+    const number = plate.number;
+    const owner = capWords(qs('#passOwner').value.trim());
+    const type = qs('#passType').value;
+    const validFrom = dayStartFromInput(qs('#passFrom').value);
+    const validTo = dayEndFromInput(qs('#passTo').value);
+    const discountPct = Number(qs('#passDiscount').value);
+    const slotId = qs('#passSlot').value ? parseInt(qs('#passSlot').value) : null;
+
+    let valid = true;
+    ['#passNumber','#passOwner','#passType','#passFrom','#passTo','#passDiscount'].forEach(id => qs(id).classList.remove('invalid'));
+    ['#passNumberErr','#passOwnerErr','#passTypeErr','#passDatesErr','#passDiscountErr'].forEach(id => qs(id).textContent = '');
+    const fail = (errId, inputs, msg) => {
+      qs(errId).textContent = msg;
+      inputs.forEach(id => qs(id).classList.add('invalid'));
+      valid = false;
+    };
+    if (plate.error) fail('#passNumberErr', ['#passNumber'], plate.error);
+    else if (STATE.passes.some(p => p.vehicleNumber === number && p.status === 'active' && validFrom <= p.validTo && p.validFrom <= validTo)) {
+      fail('#passNumberErr', ['#passNumber'], 'This vehicle already holds a pass for those dates');
+    }
+    if (!owner || owner.length < 2) fail('#passOwnerErr', ['#passOwner'], 'Enter owner name');
+    if (!['car','bike','truck'].includes(type)) fail('#passTypeErr', ['#passType'], 'Select pass type');
+    if (!Number.isFinite(validFrom) || !Number.isFinite(validTo) || validTo < validFrom) {
+      fail('#passDatesErr', ['#passFrom','#passTo'], 'Choose an end date on or after the start date');
+    }
+    if (!Number.isFinite(discountPct) || discountPct < 0 || discountPct > 100) {
+      fail('#passDiscountErr', ['#passDiscount'], 'Discount must be between 0 and 100');
+    }
+    if (!valid) return;
+
+    STATE.passes.push({ id: uid('P'), vehicleNumber: number, owner, type, validFrom, validTo, slotId, discountPct, status: 'active', issuedAt: Date.now() });
+    save('pass', { target: number, note: plate.override ? 'Issued · unrecognised plate accepted' : 'Issued' });
+    navigate('/passes');
+    toast(`Pass issued to ${number}`, 'success');
+  });
+
+  qsa('.btn[data-action="renew"]').forEach(btn => btn.addEventListener('click', e => {
+    const p = STATE.passes.find(x => x.id === e.currentTarget.dataset.id);
+    const suggested = Math.max(p.validTo, Date.now()) + 30 * 86400000;
+    showModal('Renew pass', html`
+      <div class="info-row"><div class="label">Pass</div><div>${p.id}</div></div>
+      <div class="info-row"><div class="label">Vehicle</div><div>${p.vehicleNumber}</div></div>
+      <div class="info-row"><div class="label">Valid till</div><div>${new Date(p.validTo).toLocaleDateString()}</div></div>
+      <div class="form-row">
+        <label>New end date</label>
+        <input type="date" id="renewTo" class="input" value="${dateInputValue(suggested)}" />
+      </div>
+    `, [
+      {label:'Cancel', class:'btn-outline', role:'cancel'},
+      {label:'Renew', class:'btn-primary', role:'confirm', onClick: () => {
+        const validTo = dayEndFromInput(qs('#renewTo').value);
+        if (!Number.isFinite(validTo) || validTo <= p.validTo) { toast('New end date must be after the current one', 'error'); return false; }
+        p.validTo = validTo;
+        save('pass', { target: p.vehicleNumber, note: `Renewed ${p.id}` });
+        navigate('/passes');
+        toast(`Pass ${p.id} renewed`, 'success');
+      }},
+    ]);
+  }));
+
+  qsa('.btn[data-action="revoke"]').forEach(btn => btn.addEventListener('click', e => {
+    const p = STATE.passes.find(x => x.id === e.currentTarget.dataset.id);
+    showConfirm('Revoke pass?', html`
+      <div class="info-row"><div class="label">Pass</div><div>${p.id}</div></div>
+      <div class="info-row"><div class="label">Vehicle</div><div>${p.vehicleNumber}</div></div>
+      <div class="info-row"><div class="label">Owner</div><div>${p.owner}</div></div>
+    `, () => {
+      p.status = 'revoked';
+      p.revokedAt = Date.now();
+      save('pass', { target: p.vehicleNumber, note: `Revoked ${p.id}` });
+      navigate('/passes');
+      toast(`Pass ${p.id} revoked`, 'success');
+    });
+  }));
+}
+
+/* Watchlist page */
+function renderWatchlist() {
+  clearView();
+  const now = Date.now();
+  const statusOf = w => w.removedAt ? 'Removed' : watchValid(w, now) ? 'Active' : 'Expired';
+  const rows = [...STATE.watchlist].sort((a,b) => (!!a.removedAt - !!b.removedAt) || b.addedAt - a.addedAt).map(w => html`
+    <tr>
+      <td><a href="${profileHref(w.vehicleNumber)}">${w.vehicleNumber}</a></td>
+      <td><i class="${WATCHLIST_KINDS[w.kind].icon}"></i> ${WATCHLIST_KINDS[w.kind].label}</td>
+      <td>${w.reason}</td>
+      <td>${new Date(w.expiresAt).toLocaleDateString()}</td>
+      <td>${fmtTime(w.addedAt)}${w.addedBy ? ` · ${w.addedBy.name}` : ''}</td>
+      <td>${w.matches || 0}${w.lastMatchAt ? ` · last ${fmtTime(w.lastMatchAt)}` : ''}</td>
+      <td><span class="badge">${statusOf(w)}</span></td>
+      <td class="nowrap">
+        ${w.removedAt ? '' : html`<button class="btn btn-remove" data-action="unlist" data-id="${w.id}"><i class="fa-solid fa-xmark"></i> Remove</button>`}
+      </td>
+    </tr>
+  `);
+
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+  el.innerHTML = html`
+    <h3 class="mt-0">Add to watchlist</h3>
+    <form id="watchForm" class="form">
+      <div class="form-row">
+        <label>Vehicle number</label>
+        ${plateFieldHtml('watchNumber')}
+      </div>
+      <div class="form-row">
+        <label>List as</label>
+        <select id="watchKind">
+          ${Object.entries(WATCHLIST_KINDS).map(([id, k]) => html`<option value="${id}">${k.label}</option>`)}
+        </select>
+        <p class="hint">Banned vehicles are refused at the gate. Unpaid dues need staff to confirm the entry. VIPs are only flagged.</p>
+      </div>
+      <div class="form-row">
+        <label>Reason</label>
+        <input type="text" id="watchReason" class="input" placeholder="Left without paying on 12 Mar" />
+        <div class="error" id="watchReasonErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Expires</label>
+        <input type="date" id="watchExpires" class="input" min="${dateInputValue(now)}" value="${dateInputValue(now + WATCHLIST_DEFAULT_DAYS * 24 * HOUR)}" />
+        <div class="error" id="watchExpiresErr"></div>
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-binoculars"></i> Add to watchlist</button>
+    </form>
+    <h3>Watchlist</h3>
+    <div class="table-wrap">
+      <table class="table">
+        <thead><tr><th>Vehicle number</th><th>List</th><th>Reason</th><th>Expires</th><th>Added</th><th>Matches</th><th>Status</th><th></th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td class="empty-row" colspan="8">No vehicles on the watchlist</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `;
+  view().appendChild(el);
+
+  watchPlateField('watchNumber');
+  qs('#watchForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const plate = readPlateField('watchNumber');
+    const number = plate.number;
+    const kind = qs('#watchKind').value;
+    const reason = qs('#watchReason').value.trim();
+    const expiresAt = dayEndFromInput(qs('#watchExpires').value);
+
+    let valid = true;
+    ['#watchNumber','#watchReason','#watchExpires'].forEach(id => qs(id).classList.remove('invalid'));
+    ['#watchNumberErr','#watchReasonErr','#watchExpiresErr'].forEach(id => qs(id).textContent = '');
+    const fail = (errId, inputs, msg) => {
+      qs(errId).textContent = msg;
+      inputs.forEach(id => qs(id).classList.add('invalid'));
+      valid = false;
+    };
+    if (plate.error) fail('#watchNumberErr', ['#watchNumber'], plate.error);
+    else if (STATE.watchlist.some(w => w.vehicleNumber === number && w.kind === kind && watchValid(w, Date.now()))) {
+      fail('#watchNumberErr', ['#watchNumber'], `This vehicle is already listed as ${WATCHLIST_KINDS[kind].label}`);
+    }
+    if (reason.length < 3) fail('#watchReasonErr', ['#watchReason'], 'Give a reason staff will see at the gate');
+    if (!(expiresAt > Date.now())) fail('#watchExpiresErr', ['#watchExpires'], 'Choose an expiry date in the future');
+    if (!valid) return;
+
+    STATE.watchlist.push({ id: uid('W'), vehicleNumber: number, kind, reason, expiresAt, addedAt: Date.now(), addedBy: staffRef() });
+    save('watchlist', { target: number, note: `Listed as ${WATCHLIST_KINDS[kind].label}${plate.override ? ' · unrecognised plate accepted' : ''}` });
+    navigate('/watchlist');
+    toast(`${number} added to the watchlist`, 'success');
+  });
+
+  qsa('.btn[data-action="unlist"]').forEach(btn => btn.addEventListener('click', e => {
+    const w = STATE.watchlist.find(x => x.id === e.currentTarget.dataset.id);
+    showConfirm('Remove from watchlist?', html`
+      <div class="info-row"><div class="label">Vehicle</div><div>${w.vehicleNumber}</div></div>
+      <div class="info-row"><div class="label">List</div><div>${WATCHLIST_KINDS[w.kind].label}</div></div>
+      <div class="info-row"><div class="label">Reason</div><div>${w.reason}</div></div>
+    `, () => {
+      w.removedAt = Date.now();
+      save('watchlist', { target: w.vehicleNumber, note: `Removed from ${WATCHLIST_KINDS[w.kind].label}` });
+      navigate('/watchlist');
+      toast(`${w.vehicleNumber} removed from the watchlist`, 'success');
     });
+  }));
+}
+
+/* Layout editor */
+function renderLayoutEditor() {
+  clearView();
+  const { levels } = STATE.layout;
+  const slotsIn = (levelId, zoneId) => STATE.slots.filter(s => s.level === levelId && (!zoneId || s.zone === zoneId));
+  const typeOptions = selected => Object.entries(SLOT_TYPES)
+    .map(([id, t]) => html`<option value="${id}" ${id === selected ? 'selected' : ''}>${t.label}</option>`);
+
+  const chip = s => html`
+    <button type="button" class="badge slot-chip${s.maintenance ? ' is-maintenance' : ''}${s.occupied ? ' is-occupied' : ''}" data-slot="${s.id}" title="${slotTypeLabel(s.type)}${s.maintenance ? ' · maintenance' : ''}${s.occupied ? ` · ${s.vehicle.number}` : ''}">
+      <i class="${iconFor(s.type)} ${tintFor(s.type)}"></i> ${s.id}
+    </button>`;
+
+  const zoneHtml = (lvl, zone) => {
+    const rows = {};
+    slotsIn(lvl.id, zone.id).forEach(s => (rows[s.row] = rows[s.row] || []).push(s));
+    const rowIds = Object.keys(rows).sort((a,b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+    return html`
+      <div class="glass zone-box" data-level="${lvl.id}" data-zone="${zone.id}">
+        <div class="row center mb-8">
+          <input type="text" class="input w-220" data-rename="zone" value="${zone.name}" />
+          <button type="button" class="btn btn-remove" data-action="remove-zone" ${rowIds.length || lvl.zones.length === 1 ? 'disabled' : ''}><i class="fa-solid fa-trash"></i> Remove zone</button>
+        </div>
+        ${rowIds.map(r => html`
+          <div class="row snug center wrap mb-6">
+            <span class="label w-min-60">Row ${r.slice(1)}</span>
+            ${rows[r].sort((a,b) => a.id - b.id).map(chip)}
+          </div>`)}${rowIds.length ? '' : html`<p class="muted">No rows yet</p>`}
+        <div class="row center wrap">
+          <input type="number" min="1" max="100" value="10" class="input w-90" data-field="count" />
+          <select data-field="type">${typeOptions('car')}</select>
+          <button type="button" class="btn btn-outline" data-action="add-row"><i class="fa-solid fa-plus"></i> Add row</button>
+        </div>
+      </div>`;
+  };
+
+  const el = document.createElement('div');
+  el.innerHTML = html`
+    <div class="bar mb-10">
+      <p class="m-0 muted">Click a slot to change its type, put it under maintenance or delete it.</p>
+      <button type="button" class="btn btn-primary" id="addLevel"><i class="fa-solid fa-layer-group"></i> Add level</button>
+    </div>
+    ${levels.map(lvl => html`
+      <div class="glass pad mb-16" data-level="${lvl.id}">
+        <div class="row center">
+          <input type="text" class="input w-260" data-rename="level" value="${lvl.name}" />
+          <button type="button" class="btn btn-outline" data-action="add-zone"><i class="fa-solid fa-plus"></i> Add zone</button>
+          <button type="button" class="btn btn-remove" data-action="remove-level" ${slotsIn(lvl.id).length || levels.length === 1 ? 'disabled' : ''}><i class="fa-solid fa-trash"></i> Remove level</button>
+        </div>
+        ${lvl.zones.map(z => zoneHtml(lvl, z))}
+      </div>`)}
+  `;
+  view().appendChild(el);
+
+  const placeOf = node => {
+    const zoneEl = node.closest('[data-zone]');
+    const levelEl = node.closest('[data-level]');
+    const lvl = levelById(levelEl.dataset.level);
+    return { lvl, zone: zoneEl ? zoneById(lvl.id, zoneEl.dataset.zone) : null, zoneEl };
+  };
+  const commit = msg => { save('layout', { note: msg }); renderLayoutEditor(); if (msg) toast(msg, 'success'); };
+
+  qs('#addLevel').addEventListener('click', () => {
+    const n = Math.max(0, ...levels.map(l => parseInt(l.id.slice(1)) || 0)) + 1;
+    levels.push({ id: `L${n}`, name: `Level ${n}`, zones: [{ id: 'A', name: 'Zone A' }] });
+    commit(`Level ${n} added`);
+  });
+
+  qsa('[data-rename]').forEach(input => input.addEventListener('change', () => {
+    const { lvl, zone } = placeOf(input);
+    const name = input.value.trim();
+    if (!name) { input.value = (input.dataset.rename === 'zone' ? zone : lvl).name; return; }
+    (input.dataset.rename === 'zone' ? zone : lvl).name = name;
+    save('layout', { note: `Renamed to ${name}` });
+  }));
+
+  qsa('[data-action="add-zone"]').forEach(btn => btn.addEventListener('click', () => {
+    const { lvl } = placeOf(btn);
+    const id = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').find(c => !lvl.zones.some(z => z.id === c));
+    if (!id) { toast('This level already has 26 zones', 'error'); return; }
+    lvl.zones.push({ id, name: `Zone ${id}` });
+    commit(`Zone ${id} added to ${lvl.name}`);
+  }));
+
+  qsa('[data-action="remove-zone"]').forEach(btn => btn.addEventListener('click', () => {
+    const { lvl, zone } = placeOf(btn);
+    lvl.zones = lvl.zones.filter(z => z !== zone);
+    commit(`${zone.name} removed`);
+  }));
+
+  qsa('[data-action="remove-level"]').forEach(btn => btn.addEventListener('click', () => {
+    const { lvl } = placeOf(btn);
+    STATE.layout.levels = levels.filter(l => l !== lvl);
+    commit(`${lvl.name} removed`);
+  }));
+
+  qsa('[data-action="add-row"]').forEach(btn => btn.addEventListener('click', () => {
+    const { lvl, zone, zoneEl } = placeOf(btn);
+    const count = parseInt(zoneEl.querySelector('[data-field="count"]').value);
+    const type = zoneEl.querySelector('[data-field="type"]').value;
+    if (!(count >= 1 && count <= 100)) { toast('Rows hold between 1 and 100 slots', 'error'); return; }
+    const rowNo = Math.max(0, ...slotsIn(lvl.id, zone.id).map(s => parseInt(s.row.slice(1)))) + 1;
+    for (let i = 0; i < count; i++) {
+      STATE.slots.push({ id: STATE.layout.nextSlotId++, type, level: lvl.id, zone: zone.id, row: `R${rowNo}`, maintenance: false, occupied: false, vehicle: null, entryTime: null });
+    }
+    commit(`Row ${rowNo} added with ${count} slots`);
+  }));
+
+  qsa('[data-slot]').forEach(btn => btn.addEventListener('click', () => {
+    const slot = STATE.slots.find(x => x.id === parseInt(btn.dataset.slot));
+    const held = STATE.reservations.some(r => r.slotId === slot.id && r.status === 'active')
+      || STATE.passes.some(p => p.slotId === slot.id && p.status === 'active' && p.validTo >= Date.now());
+    showModal(`Slot ${slot.id}`, html`
+      <div class="info-row"><div class="label">Location</div><div>${slotLocation(slot)}</div></div>
+      <div class="info-row"><div class="label">Vehicle</div><div>${slot.vehicle?.number || '-'}</div></div>
+      <div class="form-row">
+        <label>Slot type</label>
+        <select id="editSlotType">${typeOptions(slot.type)}</select>
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" id="editSlotMaintenance" ${slot.maintenance ? 'checked' : ''} ${slot.occupied ? 'disabled' : ''} /> Under maintenance</label>
+      </div>
+    `, [
+      {label:'Cancel', class:'btn-outline', role:'cancel'},
+      ...(slot.occupied || held ? [] : [{label:'Delete slot', class:'btn-remove', onClick: () => {
+        STATE.slots = STATE.slots.filter(x => x !== slot);
+        commit(`Slot ${slot.id} deleted`);
+      }}]),
+      {label:'Save', class:'btn-primary', role:'confirm', onClick: () => {
+        slot.type = qs('#editSlotType').value;
+        if (!slot.occupied) slot.maintenance = qs('#editSlotMaintenance').checked;
+        touchRecord('slots', slot.id);
+        commit(`Slot ${slot.id} updated`);
+      }},
+    ]);
+  }));
+}
+
+/* Data management
+   Backups are the persisted STATE wrapped with a format tag and version so restores
+   can refuse files from other apps or newer releases. */
+const BACKUP_FORMAT = 'smart-parking-backup';
+const BACKUP_VERSION = 1;
+const HISTORY_CSV_HEADER = ['Vehicle number','Owner','Vehicle type','Slot number','Entry time','Exit time','Total duration','Fee collected'];
+
+function downloadBackup(tag = 'backup'){
+  const backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: Date.now(), data: persistedState() };
+  downloadBlob(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }), `parking_${tag}_${Date.now()}.json`);
+}
+
+// List what is wrong with a backup file; an empty list means it can be restored
+const validateBackup = backup => {
+  if (!backup || backup.format !== BACKUP_FORMAT) return ['Not a Smart Parking backup file'];
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) return [`Unsupported backup version ${backup.version}`];
+  const { data } = backup;
+  const errors = [];
+  if (!data || typeof data !== 'object') return ['Backup has no data section'];
+  if (!Array.isArray(data.slots)) errors.push('Slots are missing');
+  else data.slots.forEach((s, i) => {
+    if (!Number.isFinite(s?.id)) errors.push(`Slot #${i + 1} has no id`);
+    else if (s.occupied && !s.vehicle?.number) errors.push(`Slot ${s.id} is occupied without a vehicle`);
+  });
+  if (!Array.isArray(data.history)) errors.push('History is missing');
+  else data.history.forEach((h, i) => {
+    if (!h?.vehicleNumber || !Number.isFinite(h.entryTime) || !Number.isFinite(h.exitTime)) errors.push(`History row ${i + 1} is incomplete`);
+  });
+  if (!data.config || typeof data.config !== 'object') errors.push('Settings are missing');
+  ['reservations','passes'].forEach(key => { if (key in data && !Array.isArray(data[key])) errors.push(`${cap(key)} are not a list`); });
+  if (data.layout && !Array.isArray(data.layout.levels)) errors.push('Layout has no levels');
+  return errors.slice(0, 10);
+};
+
+function restoreBackupFlow(backup){
+  const errors = validateBackup(backup);
+  if (errors.length) {
+    showModal('Backup cannot be restored', html`${errors.map(e => html`<div class="error">${e}</div>`)}`);
+    return;
+  }
+  const { data } = backup;
+  showConfirm('Restore backup?', html`
+    <div class="info-row"><div class="label">Exported</div><div>${fmtTime(backup.exportedAt)}</div></div>
+    <div class="info-row"><div class="label">Slots</div><div>${data.slots.length} (${data.slots.filter(s => s.occupied).length} occupied)</div></div>
+    <div class="info-row"><div class="label">History rows</div><div>${data.history.length}</div></div>
+    <div class="info-row"><div class="label">Reservations</div><div>${(data.reservations || []).length}</div></div>
+    <div class="info-row"><div class="label">Passes</div><div>${(data.passes || []).length}</div></div>
+    <p class="muted">Everything currently stored in this browser will be replaced.</p>
+  `, () => {
+    applySaved(JSON.parse(JSON.stringify(data)));
+    restoreSession();
+    save('restore', { note: `Backup from ${fmtTime(backup.exportedAt)}` });
+    navigate(currentPath());
+    toast('Backup restored', 'success');
+  });
+}
+
+// RFC 4180 fields: quoted values may contain commas, quotes ("") and newlines
+const parseCSV = text => {
+  const rows = [[]];
+  let field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { rows[rows.length - 1].push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(field); field = '';
+      rows.push([]);
+    } else field += c;
+  }
+  rows[rows.length - 1].push(field);
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+};
+
+// Imported times are epoch ms (JSON) or ISO 8601 with a UTC offset, as exportCSV writes them.
+// CSVs from older versions hold locale strings such as "5/10/2026, 2:30:12 pm", which is
+// 10 May in some locales and 5 October in others, so they are read only once staff say which
+// comes first (dateOrder 'dmy' or 'mdy'), in this browser's time zone as they were written.
+const ISO_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+const LOCALE_TIME_RE = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s*m\.?)?$/i;
+const IMPORT_DATE_ORDERS = { dmy: 'Day first (5/10/2026 is 5 October)', mdy: 'Month first (5/10/2026 is 10 May)' };
+const parseLocaleTime = (v, dateOrder) => {
+  const m = LOCALE_TIME_RE.exec(v);
+  if (!m || !IMPORT_DATE_ORDERS[dateOrder]) return NaN;
+  const [, a, b, year, h, min, sec = '0', half] = m;
+  const [day, month] = (dateOrder === 'dmy' ? [a, b] : [b, a]).map(Number);
+  const hour = half ? Number(h) % 12 + (/p/i.test(half) ? 12 : 0) : Number(h);
+  if (half && (Number(h) < 1 || Number(h) > 12)) return NaN;
+  const d = new Date(Number(year), month - 1, day, hour, Number(min), Number(sec));
+  // reject dates that rolled over, such as 31/4 or 25:00
+  return d.getMonth() === month - 1 && d.getDate() === day && d.getHours() === hour ? d.getTime() : NaN;
+};
+const parseTime = (v, dateOrder = '') => {
+  if (typeof v === 'number') return v;
+  const text = String(v).trim();
+  return ISO_TIME_RE.test(text) ? Date.parse(text) : parseLocaleTime(text, dateOrder);
+};
+
+// Turn one imported record into a history row, or explain why it cannot be used
+const importedVisit = (raw, dateOrder) => {
+  const vehicleNumber = formatPlate(raw.vehicleNumber || '');
+  const type = String(raw.type || '').trim().toLowerCase();
+  const entryTime = parseTime(raw.entryTime, dateOrder), exitTime = parseTime(raw.exitTime, dateOrder);
+  const timeHint = dateOrder ? '' : ', or pick the date order of older CSV files';
+  const fee = Number(raw.fee);
+  const error =
+    !vehicleNumber ? 'Missing vehicle number' :
+    !['car','bike','truck'].includes(type) ? `Unknown vehicle type "${raw.type}"` :
+    !Number.isFinite(entryTime) ? `Unreadable entry time (expected e.g. 2026-10-05T14:30:12Z${timeHint})` :
+    !Number.isFinite(exitTime) ? `Unreadable exit time (expected e.g. 2026-10-05T14:30:12Z${timeHint})` :
+    exitTime < entryTime ? 'Exit is before entry' :
+    !Number.isFinite(fee) || fee < 0 ? 'Invalid fee' : '';
+  if (error) return { error };
+  return { visit: {
+    id: uid('H'),
+    vehicleNumber,
+    owner: String(raw.owner || '').trim(),
+    type,
+    slotId: Number(raw.slotId) || raw.slotId,
+    entryTime,
+    exitTime,
+    durationMs: exitTime - entryTime,
+    fee,
+    feeLines: [{ label: 'Imported', amount: fee }],
+    imported: true,
+  } };
+};
+
+const readHistoryFile = (name, text) => {
+  if (/\.json$/i.test(name)) {
+    const json = JSON.parse(text);
+    const list = Array.isArray(json) ? json : json.data?.history || json.history;
+    if (!Array.isArray(list)) throw new Error('No history rows found in the JSON file');
+    return list.map(h => ({ ...h, fee: isVoided(h) ? 0 : h.fee }));
+  }
+  const [header, ...rows] = parseCSV(text);
+  const missing = HISTORY_CSV_HEADER.filter(col => !header.includes(col));
+  if (missing.length) throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+  const col = name => header.indexOf(name);
+  return rows.map(r => ({
+    vehicleNumber: r[col('Vehicle number')],
+    owner: r[col('Owner')],
+    type: r[col('Vehicle type')],
+    slotId: r[col('Slot number')],
+    entryTime: r[col('Entry time')],
+    exitTime: r[col('Exit time')],
+    fee: r[col('Fee collected')],
+  }));
+};
+
+// Compare visits to the second, so a JSON row and its CSV export are the same visit
+const visitKey = h => `${plateKey(h.vehicleNumber)}|${Math.floor(h.entryTime / 1000)}|${Math.floor(h.exitTime / 1000)}`;
+
+// Sort imported records into new, duplicate, conflicting (overlaps a stay of the same vehicle) and invalid
+const classifyImport = (records, { dateOrder = '' } = {}) => {
+  const seen = new Set(STATE.history.map(visitKey));
+  const stays = [
+    ...STATE.history.filter(h => !h.noShow),
+    ...STATE.slots.filter(s => s.occupied).map(s => ({ vehicleNumber: s.vehicle.number, entryTime: s.entryTime, exitTime: Infinity })),
+  ];
+  return records.map((raw, i) => {
+    const { visit, error } = importedVisit(raw, dateOrder);
+    if (error) return { line: i + 1, raw, status: 'invalid', reason: error };
+    const key = visitKey(visit);
+    if (seen.has(key)) return { line: i + 1, visit, status: 'duplicate', reason: 'Already in history' };
+    const clash = stays.find(h => plateKey(h.vehicleNumber) === plateKey(visit.vehicleNumber)
+      && visit.entryTime < h.exitTime && visit.exitTime > h.entryTime);
+    seen.add(key);
+    if (clash) return { line: i + 1, visit, status: 'conflict', reason: `Overlaps stay from ${fmtTime(clash.entryTime)}` };
+    return { line: i + 1, visit, status: 'new', reason: '' };
+  });
+};
+
+function importPreviewFlow(results){
+  const count = status => results.filter(r => r.status === status).length;
+  const rows = results.filter(r => r.status !== 'new').slice(0, 50).map(r => html`
+    <tr>
+      <td>${r.line}</td>
+      <td>${r.visit?.vehicleNumber || r.raw?.vehicleNumber || '—'}</td>
+      <td>${r.visit ? fmtTime(r.visit.entryTime) : '—'}</td>
+      <td><span class="badge">${cap(r.status)}</span></td>
+      <td>${r.reason}</td>
+      <td>${r.status === 'conflict' ? html`<input type="checkbox" data-line="${r.line}" title="Import anyway" />` : ''}</td>
+    </tr>
+  `);
+  showModal('Import history', html`
+    <div class="kpis">
+      <div class="glass kpi"><div class="label">New</div><div class="value">${count('new')}</div></div>
+      <div class="glass kpi"><div class="label">Duplicates</div><div class="value">${count('duplicate')}</div></div>
+      <div class="glass kpi"><div class="label">Conflicts</div><div class="value">${count('conflict')}</div></div>
+      <div class="glass kpi"><div class="label">Invalid</div><div class="value">${count('invalid')}</div></div>
+    </div>
+    ${rows ? html`
+      <p class="muted">Duplicates and invalid rows are skipped. Tick conflicts to import them anyway.</p>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Row</th><th>Vehicle</th><th>Entry</th><th>Status</th><th>Reason</th><th>Import</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>` : ''}
+  `, [
+    {label:'Cancel', class:'btn-outline', role:'cancel'},
+    {label:'Import', class:'btn-primary', role:'confirm', onClick: () => {
+      const forced = new Set(qsa('#modalBody input[data-line]:checked').map(cb => Number(cb.dataset.line)));
+      const visits = results.filter(r => r.status === 'new' || (r.status === 'conflict' && forced.has(r.line))).map(r => r.visit);
+      if (!visits.length) { toast('Nothing to import', 'error'); return false; }
+      STATE.history = [...STATE.history, ...visits].sort((a,b) => b.exitTime - a.exitTime);
+      save('import', { note: `${visits.length} history rows` });
+      navigate(currentPath());
+      toast(`Imported ${visits.length} history row${visits.length === 1 ? '' : 's'}`, 'success');
+    }},
+  ]);
+}
+
+function renderDataManagement() {
+  clearView();
+  const el = document.createElement('div');
+  el.innerHTML = html`
+    <div class="glass pad mb-16">
+      <h3 class="mt-0">Backup</h3>
+      <p class="muted">Download everything stored in this browser — slots, history, reservations, passes, layout and settings — as a JSON file (format version ${BACKUP_VERSION}, ${STATE.history.length} history rows now).</p>
+      <button class="btn btn-primary" id="backupBtn"><i class="fa-solid fa-download"></i> Download backup</button>
+    </div>
+    <div class="glass pad mb-16">
+      <h3 class="mt-0">Restore</h3>
+      <p class="muted">Replace all data with a backup file. You will see what the file contains before anything changes.</p>
+      <div class="form-row">
+        <input type="file" id="restoreFile" class="input" accept=".json,application/json" />
+        <div class="error" id="restoreErr"></div>
+      </div>
+    </div>
+    <div class="glass pad">
+      <h3 class="mt-0">Import history</h3>
+      <p class="muted">Add visits from a CSV exported on the history page (columns: ${HISTORY_CSV_HEADER.join(', ')}; times in ISO 8601) or from a JSON backup or history list. Visits already in history are detected and skipped.</p>
+      <div class="form-row">
+        <label>Dates in CSVs from older versions</label>
+        <select id="importDateOrder">
+          <option value="">Not set: only ISO 8601 times are read</option>
+          ${Object.entries(IMPORT_DATE_ORDERS).map(([key, label]) => html`<option value="${key}">${label}</option>`)}
+        </select>
+        <p class="hint">Older versions wrote times as this browser shows dates. Pick the order they were written in to import those files.</p>
+      </div>
+      <div class="form-row">
+        <input type="file" id="importFile" class="input" accept=".csv,.json,text/csv,application/json" />
+        <div class="error" id="importErr"></div>
+      </div>
+    </div>
+  `;
+  view().appendChild(el);
+
+  qs('#backupBtn').addEventListener('click', () => {
+    downloadBackup();
+    toast('Backup downloaded', 'success');
+  });
+  qs('#restoreFile').addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    qs('#restoreErr').textContent = '';
+    if (!file) return;
+    try {
+      restoreBackupFlow(JSON.parse(await file.text()));
+    } catch {
+      qs('#restoreErr').textContent = 'The file is not valid JSON';
+    }
+    e.target.value = '';
+  });
+  qs('#importFile').addEventListener('change', async (e) => {
+    const [file] = e.target.files;
+    qs('#importErr').textContent = '';
+    if (!file) return;
+    try {
+      const records = readHistoryFile(file.name, await file.text());
+      if (!records.length) throw new Error('The file has no rows');
+      importPreviewFlow(classifyImport(records, { dateOrder: qs('#importDateOrder').value }));
+    } catch (err) {
+      qs('#importErr').textContent = err instanceof SyntaxError ? 'The file is not valid JSON' : err.message;
+    }
+    e.target.value = '';
+  });
+}
+
+/* Vehicle search */
+const profileHref = number => `#/vehicle?number=${encodeURIComponent(number)}`;
+const searchVehicles = (query, limit = 8) => {
+  const key = plateKey(query);
+  const text = query.trim().toLowerCase();
+  if (text.length < 2) return [];
+  const matches = (number, owner) => (key && plateKey(number).includes(key)) || owner.toLowerCase().includes(text);
+  const live = STATE.slots.filter(s => s.occupied && matches(s.vehicle.number, s.vehicle.owner))
+    .map(s => ({ kind: 'slot', number: s.vehicle.number, owner: s.vehicle.owner, type: s.vehicle.type, slot: s }));
+  const past = STATE.history.filter(h => !h.noShow && matches(h.vehicleNumber, h.owner))
+    .slice(0, limit).map(h => ({ kind: 'history', number: h.vehicleNumber, owner: h.owner, type: h.type, row: h }));
+  return [...live, ...past].slice(0, limit);
+};
+
+const mountGlobalSearch = () => {
+  if (qs('#globalSearch')) return;
+  const wrap = document.createElement('div');
+  wrap.style.cssText = 'position:relative; margin-right:8px;';
+  wrap.innerHTML = html`
+    <input type="search" id="globalSearch" class="input" placeholder="Search vehicle or owner" autocomplete="off" />
+    <div id="searchResults" class="glass hidden popover search-results"></div>
+  `;
+  qs('#themeToggle').before(wrap);
+
+  const input = qs('#globalSearch');
+  const box = qs('#searchResults');
+  let results = [];
+  const close = () => box.classList.add('hidden');
+  const open = r => {
+    close();
+    input.value = '';
+    if (r.kind === 'slot') {
+      Object.assign(dashboardFilter, { level: '', zone: '' });
+      goTo('#/dashboard', `#slot-${r.slot.id}`);
+    } else {
+      const page = Math.floor(STATE.history.indexOf(r.row) / HISTORY_PAGE_SIZE) + 1;
+      goTo(page > 1 ? `#/history?page=${page}` : '#/history', `#hist-${r.row.id}`);
+    }
+  };
+  const render = () => {
+    results = searchVehicles(input.value);
+    box.classList.toggle('hidden', !input.value.trim());
+    box.innerHTML = results.length ? html`${results.map((r, i) => html`
+      <div class="info-row clickable" data-index="${i}">
+        <div><i class="${iconFor(r.type)} ${tintFor(r.type)}"></i> <strong>${r.number}</strong> · ${r.owner}</div>
+        <div class="label">${r.kind === 'slot' ? `Parked · Slot ${r.slot.id}` : `Left ${fmtTime(r.row.exitTime)}`}</div>
+        <a href="${profileHref(r.number)}" class="badge" data-profile title="Vehicle profile"><i class="fa-solid fa-user"></i></a>
+      </div>
+    `)}` : html`<div class="muted pad-6">No matches</div>`;
+    box.querySelectorAll('[data-index]').forEach(row => row.addEventListener('mousedown', e => {
+      e.preventDefault();
+      if (e.target.closest('[data-profile]')) { close(); input.value = ''; goTo(profileHref(results[row.dataset.index].number)); return; }
+      open(results[row.dataset.index]);
+    }));
+  };
+  input.addEventListener('input', render);
+  input.addEventListener('focus', () => { if (input.value.trim()) render(); });
+  input.addEventListener('blur', close);
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter' && results.length) open(results[0]);
+    if (e.key === 'Escape') { input.value = ''; close(); }
+  });
+};
+
+/* Notification centre
+   Bell in the header with the number of open alerts; its panel lists every current
+   alert with acknowledge and snooze. */
+const mountAlertBell = () => {
+  if (qs('#alertBell')) return;
+  const wrap = document.createElement('div');
+  wrap.style.cssText = 'position:relative; margin-right:8px;';
+  wrap.innerHTML = html`
+    <button type="button" id="alertBell" class="btn btn-outline" aria-haspopup="true" aria-expanded="false" title="Alerts">
+      <i class="fa-solid fa-bell"></i> <span id="alertCount" class="badge hidden">0</span>
+    </button>
+    <div id="alertPanel" class="glass hidden popover alert-panel" role="region" aria-label="Alerts"></div>
+  `;
+  qs('#themeToggle').before(wrap);
+  const bell = qs('#alertBell'), panel = qs('#alertPanel');
+  bell.addEventListener('click', () => {
+    const open = panel.classList.toggle('hidden') === false;
+    bell.setAttribute('aria-expanded', String(open));
+    if (open) renderAlertPanel();
+  });
+  document.addEventListener('click', e => {
+    if (!wrap.contains(e.target)) { panel.classList.add('hidden'); bell.setAttribute('aria-expanded', 'false'); }
+  });
+};
+
+const alertItemHtml = (a, muted) => {
+  const kind = ALERT_KINDS[a.kind], mark = STATE.alerts[a.key];
+  const state = !muted ? '' : mark.ackedAt ? `Acknowledged${mark.ackedBy ? ` by ${mark.ackedBy.name}` : ''}` : `Snoozed until ${fmtTime(mark.snoozedUntil)}`;
+  return html`
+    <div class="glass alert-item alert-${a.kind}${muted ? ' is-muted' : ''}" data-alert="${a.key}">
+      <div><i class="${kind.icon} alert-icon"></i> <strong>${a.title}</strong></div>
+      <div class="label">${a.detail}</div>
+      ${muted ? html`<div class="label">${state}</div>` : html`
+      <div class="row snug mt-6">
+        ${a.slotId ? html`<button type="button" class="btn btn-details" data-alert-action="show">Show slot</button>` : ''}
+        <button type="button" class="btn btn-outline" data-alert-action="snooze">Snooze ${STATE.config.alerts.snoozeMinutes} min</button>
+        <button type="button" class="btn btn-primary" data-alert-action="ack">Acknowledge</button>
+      </div>`}
+    </div>
+  `;
+};
+// Buttons inside any list rendered with alertItemHtml
+const bindAlertActions = (root, alerts) => {
+  root.querySelectorAll('[data-alert-action]').forEach(btn => btn.addEventListener('click', e => {
+    const alert = alerts.find(a => a.key === e.currentTarget.closest('[data-alert]').dataset.alert);
+    const action = e.currentTarget.dataset.alertAction;
+    if (action === 'show') {
+      Object.assign(dashboardFilter, { level: '', zone: '' });
+      goTo('#/dashboard', `#slot-${alert.slotId}`);
+      return;
+    }
+    if (action === 'ack') ackAlert(alert);
+    else snoozeAlert(alert);
+  }));
+};
+
+function renderAlertPanel(){
+  const panel = qs('#alertPanel');
+  if (!panel) return;
+  const alerts = currentAlerts();
+  const open = alerts.filter(a => !alertMuted(a)), muted = alerts.filter(a => alertMuted(a));
+  const notify = STATE.config.alerts.browserNotifications && window.Notification && Notification.permission !== 'granted';
+  panel.innerHTML = html`
+    <h4 class="m-0 mb-8">Alerts</h4>
+    ${notify ? html`<button type="button" class="btn btn-outline mb-8" id="allowNotify"><i class="fa-solid fa-bell"></i> Allow browser notifications</button>` : ''}
+    ${open.length ? open.map(a => alertItemHtml(a, false)) : html`<p class="muted">Nothing needs attention.</p>`}
+    ${muted.length ? html`<h4 class="section-title">Seen</h4>${muted.map(a => alertItemHtml(a, true))}` : ''}
+  `;
+  bindAlertActions(panel, alerts);
+  qs('#allowNotify')?.addEventListener('click', () => Notification.requestPermission().then(renderAlertPanel));
+}
+
+function updateAlertBell(open = openAlerts()){
+  const count = qs('#alertCount');
+  if (!count) return;
+  count.textContent = open.length;
+  count.classList.toggle('hidden', !open.length);
+  qs('#alertBell').classList.toggle('btn-remove', open.length > 0);
+  if (!qs('#alertPanel').classList.contains('hidden')) renderAlertPanel();
+}
+
+/* Vehicle profile page */
+function renderVehicleProfile() {
+  clearView();
+  const number = routeParams().get('number') || '';
+  const key = plateKey(number);
+  const visits = STATE.history.filter(h => !h.noShow && plateKey(h.vehicleNumber) === key);
+  const noShowRows = STATE.history.filter(h => h.noShow && plateKey(h.vehicleNumber) === key);
+  const noShows = noShowRows.length;
+  const parked = STATE.slots.find(s => s.occupied && plateKey(s.vehicle.number) === key);
+  const pass = passFor(formatPlate(number));
+  const listed = watchlistFor(formatPlate(number));
+  // no-show penalties are shown on their own, not as parking spend
+  const totalSpend = round2(feeTotal(visits));
+  const noShowFees = round2(feeTotal(noShowRows));
+  const avgStay = visits.length ? Math.floor(visits.reduce((sum,h) => sum + h.durationMs, 0) / visits.length) : 0;
+  const owner = parked?.vehicle.owner || visits[0]?.owner || '-';
+  const lastSlot = parked ? parked.id : visits[0]?.slotId;
+
+  const wrap = document.createElement('div');
+  if (!parked && !visits.length && !noShows) {
+    wrap.className = 'glass';
+    wrap.style.padding = '16px';
+    wrap.innerHTML = html`<p class="m-0">No visits found for <strong>${number || 'this vehicle'}</strong>.</p>`;
+    view().appendChild(wrap);
+    return;
+  }
+  wrap.innerHTML = html`
+    <div class="glass pad mb-16">
+      <h3 class="mt-0">${number}</h3>
+      <div class="info-row"><div class="label">Owner</div><div>${owner}</div></div>
+      <div class="info-row"><div class="label">Status</div><div>${parked ? `Parked in slot ${parked.id} since ${fmtTime(parked.entryTime)}` : 'Not in the lot'}</div></div>
+      <div class="info-row"><div class="label">Pass</div><div>${pass ? `${pass.id}, valid till ${new Date(pass.validTo).toLocaleDateString()}` : '-'}</div></div>
+      <div class="info-row"><div class="label">Watchlist</div><div>${listed ? watchlistBannerHtml(listed) : '-'}</div></div>
+    </div>
+    <div class="kpis">
+      <div class="glass kpi"><div class="label">Visits</div><div class="value">${visits.length}</div></div>
+      <div class="glass kpi"><div class="label">Total spend</div><div class="value">${fmtMoney(totalSpend)}</div></div>
+      ${noShows ? html`<div class="glass kpi"><div class="label">No-show charges</div><div class="value">${fmtMoney(noShowFees)}</div></div>` : ''}
+      <div class="glass kpi"><div class="label">Average stay</div><div class="value">${fmtDuration(avgStay)}</div></div>
+      <div class="glass kpi"><div class="label">Last slot</div><div class="value">${lastSlot ?? '-'}</div></div>
+    </div>
+    <div class="glass pad mt-16">
+      <h3 class="mt-0">Visits${noShows ? html` <span class="badge">${noShows} no-show${noShows > 1 ? 's' : ''}</span>` : ''}</h3>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Slot number</th><th>Entry time</th><th>Exit time</th><th>Total duration</th><th>Fee collected</th></tr></thead>
+          <tbody>
+            ${visits.map(h => html`
+              <tr>
+                <td>${h.slotId}</td>
+                <td>${fmtTime(h.entryTime)}</td>
+                <td>${fmtTime(h.exitTime)}</td>
+                <td>${fmtDuration(h.durationMs)}</td>
+                <td>${fmtMoney(h.fee)}</td>
+              </tr>`)}${visits.length ? '' : html`<tr><td class="empty-row" colspan="5">No completed visits yet</td></tr>`}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  view().appendChild(wrap);
+}
+
+/* Settings page */
+function renderSettings() {
+  clearView();
+  const { lot } = STATE.config;
+  const lotEl = document.createElement('div');
+  lotEl.className = 'glass';
+  lotEl.style.cssText = 'padding:16px; margin-bottom:16px;';
+  lotEl.innerHTML = html`
+    <h3 class="mt-0">Lot details</h3>
+    <form id="lotSettings" class="form">
+      <div class="form-row">
+        <label>Lot name</label>
+        <input type="text" id="lotName" class="input" value="${lot.name}" />
+        <div class="error" id="lotNameErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Operator (legal name)</label>
+        <input type="text" id="lotOperator" class="input" value="${lot.operator}" />
+      </div>
+      <div class="form-row">
+        <label>GSTIN</label>
+        <input type="text" id="lotGstin" class="input" value="${lot.gstin}" placeholder="33ABCDE1234F1Z5" />
+        <div class="error" id="lotGstinErr"></div>
+      </div>
+      <div class="form-row">
+        <label>Address</label>
+        <input type="text" id="lotAddress" class="input" value="${lot.address}" />
+      </div>
+      <div class="form-row">
+        <label>Phone</label>
+        <input type="text" id="lotPhone" class="input" value="${lot.phone}" />
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save lot details</button>
+    </form>
+  `;
+  view().appendChild(lotEl);
+  qs('#lotSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = qs('#lotName').value.trim();
+    const gstin = qs('#lotGstin').value.trim().toUpperCase();
+    qs('#lotNameErr').textContent = '';
+    qs('#lotGstinErr').textContent = '';
+    if (!name) { qs('#lotNameErr').textContent = 'Enter the lot name'; return; }
+    if (gstin && !/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/.test(gstin)) { qs('#lotGstinErr').textContent = 'Enter a valid 15-character GSTIN'; return; }
+    STATE.config.lot = {
+      name, gstin,
+      operator: qs('#lotOperator').value.trim(),
+      address: qs('#lotAddress').value.trim(),
+      phone: qs('#lotPhone').value.trim(),
+    };
+    save('config', { note: 'Lot details' });
+    toast('Lot details saved', 'success');
+  });
+
+  const inv = STATE.config.invoice;
+  const invEl = document.createElement('div');
+  invEl.className = 'glass';
+  invEl.style.cssText = 'padding:16px; margin-bottom:16px;';
+  invEl.innerHTML = html`
+    <h3 class="mt-0">Invoices & tax</h3>
+    <form id="invoiceSettings" class="form">
+      <div class="form-row">
+        <label>Invoice number prefix</label>
+        <input type="text" id="invPrefix" class="input" value="${inv.prefix}" />
+        <p class="hint">Next number: ${STATE.invoiceSeq.next} (${STATE.invoiceSeq.year})</p>
+      </div>
+      <div class="form-row">
+        <label>This terminal's series</label>
+        <input type="text" id="invSeries" class="input" value="${inv.series}" placeholder="G1" />
+        <p class="hint">Needed when terminals share a sync server: give each one a different code so their invoice numbers never collide.</p>
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" id="invYearly" ${inv.yearlyReset ? 'checked' : ''} /> Restart numbering every calendar year</label>
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" id="invInclusive" ${inv.pricesIncludeTax ? 'checked' : ''} /> Tariff prices include tax</label>
+      </div>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Tax</th><th>Rate (%)</th><th></th></tr></thead>
+          <tbody id="taxRows"></tbody>
+        </table>
+      </div>
+      <div class="error" id="invSettingsErr"></div>
+      <div class="row">
+        <button type="button" class="btn btn-outline" id="addTax"><i class="fa-solid fa-plus"></i> Add tax</button>
+        <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save invoice settings</button>
+      </div>
+    </form>
+  `;
+  view().appendChild(invEl);
+
+  const taxRow = (t = { name: '', rate: 0 }) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td><input type="text" class="input" data-field="name" value="${t.name}" placeholder="IGST" /></td>
+      <td><input type="number" min="0" step="0.01" class="input" data-field="rate" value="${t.rate}" /></td>
+      <td><button type="button" class="btn btn-remove" data-action="remove-tax"><i class="fa-solid fa-trash"></i></button></td>
+    `;
+    tr.querySelector('[data-action="remove-tax"]').addEventListener('click', () => tr.remove());
+    qs('#taxRows').appendChild(tr);
+  };
+  inv.taxes.forEach(taxRow);
+  qs('#addTax').addEventListener('click', () => taxRow());
+  qs('#invoiceSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const prefix = qs('#invPrefix').value.trim().toUpperCase();
+    const series = qs('#invSeries').value.trim().toUpperCase();
+    const taxes = qsa('#taxRows tr').map(tr => ({
+      name: tr.querySelector('[data-field="name"]').value.trim(),
+      rate: Number(tr.querySelector('[data-field="rate"]').value),
+    }));
+    if (!/^[A-Z0-9-]{1,10}$/.test(prefix)) { qs('#invSettingsErr').textContent = 'Prefix: 1–10 letters, digits or dashes'; return; }
+    if (!/^[A-Z0-9]{0,4}$/.test(series)) { qs('#invSettingsErr').textContent = 'Series: up to 4 letters or digits'; return; }
+    if (!series && STATE.config.sync.serverUrl) { qs('#invSettingsErr').textContent = 'Terminals sharing a sync server each need their own series'; return; }
+    if (taxes.some(t => !t.name || !Number.isFinite(t.rate) || t.rate < 0 || t.rate > 100)) {
+      qs('#invSettingsErr').textContent = 'Each tax needs a name and a rate between 0 and 100';
+      return;
+    }
+    STATE.config.invoice = { prefix, series, yearlyReset: qs('#invYearly').checked, pricesIncludeTax: qs('#invInclusive').checked, taxes };
+    save('config', { note: 'Invoices & tax' });
+    toast('Invoice settings saved', 'success');
+  });
+
+  const t = STATE.config.tariff;
+  const el = document.createElement('div');
+  el.className = 'glass';
+  el.style.padding = '16px';
+
+  const rateRows = Object.entries(t.rates).map(([type, r]) => html`
+    <tr data-type="${type}">
+      <td><i class="${iconFor(type)} ${tintFor(type)}"></i> ${cap(type)}</td>
+      <td><input type="number" min="0" class="input" data-field="baseMinutes" value="${r.baseMinutes}" /></td>
+      <td><input type="number" min="0" class="input" data-field="basePrice" value="${r.basePrice}" /></td>
+      <td><input type="number" min="0" class="input" data-field="hourly" value="${r.hourly}" /></td>
+      <td><input type="number" min="0" class="input" data-field="dailyCap" value="${r.dailyCap}" /></td>
+    </tr>
+  `);
+
+  el.innerHTML = html`
+    <h3 class="mt-0">Tariff</h3>
+    <form id="tariffForm" class="form">
+      <div class="form-row">
+        <label>Exit grace (minutes)</label>
+        <input type="number" min="0" id="graceMinutes" class="input" value="${t.graceMinutes}" />
+      </div>
+      <div class="table-wrap">
+        <table class="table" id="rateTable">
+          <thead>
+            <tr><th>Vehicle type</th><th>Base minutes</th><th>Base price (₹)</th><th>Hourly after (₹)</th><th>Daily cap (₹, 0 = none)</th></tr>
+          </thead>
+          <tbody>${rateRows}</tbody>
+        </table>
+      </div>
+      <div class="bar my-10">
+        <h4 class="m-0">Time bands</h4>
+        <button type="button" class="btn btn-outline" id="addBand"><i class="fa-solid fa-plus"></i> Add band</button>
+      </div>
+      <div class="table-wrap">
+        <table class="table">
+          <thead>
+            <tr><th>Name</th><th>Days</th><th>From</th><th>To</th><th>Rate ×</th><th></th></tr>
+          </thead>
+          <tbody id="bandRows"></tbody>
+        </table>
+      </div>
+      <div class="error" id="tariffErr"></div>
+      <div class="row">
+        <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save tariff</button>
+      </div>
+    </form>
+  `;
+  view().appendChild(el);
+
+  const bandRow = (b = { name: '', days: [0,1,2,3,4,5,6], start: '22:00', end: '06:00', multiplier: 1.5 }) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td><input type="text" class="input" data-field="name" value="${b.name}" placeholder="Night" /></td>
+      <td>${WEEKDAYS.map((d,i) => html`<label class="mr-6"><input type="checkbox" data-day="${i}" ${b.days.includes(i) ? 'checked' : ''} /> ${d}</label>`)}</td>
+      <td><input type="time" class="input" data-field="start" value="${b.start}" /></td>
+      <td><input type="time" class="input" data-field="end" value="${b.end}" /></td>
+      <td><input type="number" min="0" step="0.05" class="input" data-field="multiplier" value="${b.multiplier}" /></td>
+      <td><button type="button" class="btn btn-remove" data-action="remove-band"><i class="fa-solid fa-trash"></i></button></td>
+    `;
+    tr.querySelector('[data-action="remove-band"]').addEventListener('click', () => tr.remove());
+    qs('#bandRows').appendChild(tr);
+  };
+  t.bands.forEach(bandRow);
+  qs('#addBand').addEventListener('click', () => bandRow());
 
-    // Free slot
-    s.occupied = false;
-    s.vehicle = null;
-    s.entryTime = null;
-
-    // Clear timer
-    if (STATE.timers[slotId]) {
-      clearInterval(STATE.timers[slotId]);
-      delete STATE.timers[slotId];
-    }
-
-    save();
-    navigate('/dashboard');
-    toast(`Removed ${s.id} — Fee ₹${fee}`, 'success');
-    showInvoice({
-      slotId: slotId,
-      vehicleNumber: STATE.history[0].vehicleNumber,
-      owner: STATE.history[0].owner,
-      type: STATE.history[0].type,
-      entryTime: STATE.history[0].entryTime,
-      exitTime: STATE.history[0].exitTime,
-      duration: fmtDuration(STATE.history[0].durationMs),
-      fee,
+  qs('#tariffForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    qs('#tariffErr').textContent = '';
+    const num = input => Number(input.value);
+    const rates = {};
+    qsa('#rateTable tbody tr').forEach(tr => {
+      rates[tr.dataset.type] = Object.fromEntries(
+        Array.from(tr.querySelectorAll('[data-field]')).map(i => [i.dataset.field, num(i)])
+      );
     });
+    const bands = qsa('#bandRows tr').map(tr => ({
+      name: tr.querySelector('[data-field="name"]').value.trim(),
+      days: Array.from(tr.querySelectorAll('[data-day]:checked')).map(c => Number(c.dataset.day)),
+      start: tr.querySelector('[data-field="start"]').value,
+      end: tr.querySelector('[data-field="end"]').value,
+      multiplier: num(tr.querySelector('[data-field="multiplier"]')),
+    }));
+    const graceMinutes = num(qs('#graceMinutes'));
+
+    const badRate = Object.values(rates).some(r => Object.values(r).some(v => !Number.isFinite(v) || v < 0));
+    const badBand = bands.find(b => !b.name || !b.days.length || !b.start || !b.end || b.start === b.end || !(b.multiplier > 0));
+    if (!Number.isFinite(graceMinutes) || graceMinutes < 0 || badRate) {
+      qs('#tariffErr').textContent = 'Rates and grace minutes must be zero or positive numbers';
+      return;
+    }
+    if (badBand) {
+      qs('#tariffErr').textContent = 'Each band needs a name, at least one day, different from/to times and a positive rate';
+      return;
+    }
+
+    STATE.config.tariff = { graceMinutes, rates, bands };
+    save('config', { note: 'Tariff' });
+    toast('Tariff saved', 'success');
+  });
+
+  const alloc = STATE.config.allocation;
+  const allocEl = document.createElement('div');
+  allocEl.className = 'glass';
+  allocEl.style.cssText = 'padding:16px; margin-top:16px;';
+  allocEl.innerHTML = html`
+    <h3 class="mt-0">Slot allocation</h3>
+    <form id="allocationSettings" class="form">
+      <div class="form-row">
+        <label>Strategy</label>
+        <select id="allocStrategy">
+          ${Object.entries(ALLOCATION_STRATEGIES).map(([id, st]) => html`<option value="${id}" ${id === alloc.strategy ? 'selected' : ''}>${st.label}</option>`)}
+        </select>
+        <p class="hint" id="allocDescription"></p>
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" id="allocStrict" ${alloc.strictType ? 'checked' : ''} /> Strict type matching (refuse entry when no suitable slot is free)</label>
+      </div>
+      <div class="form-row">
+        <label>Entrance / lift</label>
+        <div class="row">
+          <select id="entranceLevel">
+            ${STATE.layout.levels.map(l => html`<option value="${l.id}" ${l.id === alloc.entrance.level ? 'selected' : ''}>${l.name}</option>`)}
+          </select>
+          <select id="entranceZone"></select>
+          <input type="number" min="1" id="entranceRow" class="input w-90" value="${alloc.entrance.row}" title="Row" />
+        </div>
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save allocation</button>
+    </form>
+  `;
+  view().appendChild(allocEl);
+
+  const describe = () => { qs('#allocDescription').textContent = ALLOCATION_STRATEGIES[qs('#allocStrategy').value].description; };
+  const fillZones = () => {
+    const lvl = levelById(qs('#entranceLevel').value);
+    qs('#entranceZone').innerHTML = html`${lvl.zones.map(z => html`<option value="${z.id}" ${z.id === alloc.entrance.zone ? 'selected' : ''}>${z.name}</option>`)}`;
+  };
+  describe();
+  fillZones();
+  qs('#allocStrategy').addEventListener('change', describe);
+  qs('#entranceLevel').addEventListener('change', fillZones);
+  qs('#allocationSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const row = parseInt(qs('#entranceRow').value);
+    if (!(row >= 1)) { toast('Entrance row must be 1 or more', 'error'); return; }
+    STATE.config.allocation = {
+      strategy: qs('#allocStrategy').value,
+      strictType: qs('#allocStrict').checked,
+      entrance: { level: qs('#entranceLevel').value, zone: qs('#entranceZone').value, row },
+    };
+    save('config', { note: 'Slot allocation' });
+    toast('Allocation settings saved', 'success');
+  });
+
+  const rc = STATE.config.reservations;
+  const resEl = document.createElement('div');
+  resEl.className = 'glass';
+  resEl.style.cssText = 'padding:16px; margin-top:16px;';
+  resEl.innerHTML = html`
+    <h3 class="mt-0">Reservations</h3>
+    <form id="reservationSettings" class="form">
+      <div class="form-row">
+        <label>Hold slot before window (minutes)</label>
+        <input type="number" min="0" id="resHold" class="input" value="${rc.holdBeforeMinutes}" />
+      </div>
+      <div class="form-row">
+        <label>No-show grace after window (minutes)</label>
+        <input type="number" min="0" id="resGrace" class="input" value="${rc.graceMinutes}" />
+      </div>
+      <div class="form-row">
+        <label>No-show fee (₹)</label>
+        <input type="number" min="0" id="resNoShowFee" class="input" value="${rc.noShowFee}" />
+      </div>
+      <div class="error" id="resSettingsErr"></div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save reservation rules</button>
+    </form>
+  `;
+  view().appendChild(resEl);
+
+  qs('#reservationSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = ['#resHold','#resGrace','#resNoShowFee'].map(id => Number(qs(id).value));
+    if (values.some(v => !Number.isFinite(v) || v < 0)) {
+      qs('#resSettingsErr').textContent = 'Values must be zero or positive numbers';
+      return;
+    }
+    const [holdBeforeMinutes, graceMinutes, noShowFee] = values;
+    STATE.config.reservations = { holdBeforeMinutes, graceMinutes, noShowFee };
+    save('config', { note: 'Reservation rules' });
+    toast('Reservation rules saved', 'success');
   });
-}
 
-/* History page */
-function renderHistory() {
-  clearView();
-  const el = document.createElement('div');
-  el.className = 'glass';
-  el.style.padding = '16px';
+  const ticketEl = document.createElement('div');
+  ticketEl.className = 'glass';
+  ticketEl.style.cssText = 'padding:16px; margin-top:16px;';
+  ticketEl.innerHTML = html`
+    <h3 class="mt-0">Gate tickets</h3>
+    <form id="ticketSettings" class="form">
+      <div class="form-row">
+        <label>Lost ticket penalty before tax (₹)</label>
+        <input type="number" min="0" id="lostTicketFee" class="input" value="${STATE.config.tickets.lostFee}" />
+        <p class="hint">Added to the fee when a vehicle is checked out without its ticket.</p>
+        <div class="error" id="ticketSettingsErr"></div>
+      </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save ticket rules</button>
+    </form>
+  `;
+  view().appendChild(ticketEl);
 
-  const rows = STATE.history.map(h => `
-    <tr>
-      <td>${h.vehicleNumber}</td>
-      <td>${h.owner}</td>
-      <td>${cap(h.type)}</td>
-      <td>${h.slotId}</td>
-      <td>${fmtTime(h.entryTime)}</td>
-      <td>${fmtTime(h.exitTime)}</td>
-      <td>${fmtDuration(h.durationMs)}</td>
-      <td>₹${h.fee}</td>
-    </tr>
-  `).join('');
+  qs('#ticketSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const lostFee = Number(qs('#lostTicketFee').value);
+    if (!Number.isFinite(lostFee) || lostFee < 0) {
+      qs('#ticketSettingsErr').textContent = 'Penalty must be zero or a positive number';
+      return;
+    }
+    STATE.config.tickets = { lostFee };
+    save('config', { note: 'Ticket rules' });
+    toast('Ticket rules saved', 'success');
+  });
 
-  el.innerHTML = `
-    <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:10px;">
-      <h3 style="margin:0;">Parking history</h3>
-      <div style="display:flex; gap:8px;">
-        <button class="btn btn-outline" id="exportCsv"><i class="fa-solid fa-file-csv"></i> Export CSV</button>
-        <button class="btn btn-outline" id="exportXls"><i class="fa-solid fa-file-excel"></i> Export Excel</button>
+  const passEl = document.createElement('div');
+  passEl.className = 'glass';
+  passEl.style.cssText = 'padding:16px; margin-top:16px;';
+  passEl.innerHTML = html`
+    <h3 class="mt-0">Passes</h3>
+    <form id="passSettings" class="form">
+      <div class="form-row">
+        <label>Report passes expiring within (days)</label>
+        <input type="number" min="1" id="passExpiringDays" class="input" value="${STATE.config.passes.expiringDays}" />
+        <div class="error" id="passSettingsErr"></div>
       </div>
-    </div>
-    <div class="table-wrap">
-      <table class="table">
-        <thead>
-          <tr>
-            <th>Vehicle number</th>
-            <th>Owner</th>
-            <th>Vehicle type</th>
-            <th>Slot number</th>
-            <th>Entry time</th>
-            <th>Exit time</th>
-            <th>Total duration</th>
-            <th>Fee collected</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${rows || `<tr><td colspan="8" style="text-align:center; color:var(--muted);">No history yet</td></tr>`}
-        </tbody>
-      </table>
-    </div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save pass rules</button>
+    </form>
   `;
-  view().appendChild(el);
+  view().appendChild(passEl);
 
-  qs('#exportCsv').addEventListener('click', () => exportCSV());
-  qs('#exportXls').addEventListener('click', () => exportExcel());
-}
-
-/* Analytics page */
-function renderAnalytics() {
-  clearView();
+  qs('#passSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const expiringDays = parseInt(qs('#passExpiringDays').value);
+    if (!(expiringDays >= 1)) { qs('#passSettingsErr').textContent = 'Enter at least 1 day'; return; }
+    STATE.config.passes = { expiringDays };
+    save('config', { note: 'Pass rules' });
+    toast('Pass rules saved', 'success');
+  });
 
-  const todayStart = new Date(); todayStart.setHours(0,0,0,0);
-  const todayEnd = new Date(); todayEnd.setHours(23,59,59,999);
+  const plateEl = document.createElement('div');
+  plateEl.className = 'glass';
+  plateEl.style.cssText = 'padding:16px; margin-top:16px;';
+  plateEl.innerHTML = html`
+    <h3 class="mt-0">Number plates</h3>
+    <p class="muted">Plates the gate accepts. Numbers are saved in the layout shown, however they are typed. An admin can still accept a plate that none of these recognise.</p>
+    <form id="plateSettings" class="form">
+      ${Object.entries(PLATE_FORMATS).map(([id, f]) => html`
+      <div class="form-row">
+        <label><input type="checkbox" data-plate-format="${id}" ${STATE.config.plates.formats.includes(id) ? 'checked' : ''} /> ${f.label} <span class="muted">(${f.example})</span></label>
+      </div>`)}
+      <div class="error" id="plateSettingsErr"></div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save plate formats</button>
+    </form>
+  `;
+  view().appendChild(plateEl);
 
-  const vehiclesToday = STATE.history.filter(h => h.exitTime >= todayStart.getTime() && h.exitTime <= todayEnd.getTime()).length;
-  const totalRevenue = STATE.history.reduce((sum,h) => sum + h.fee, 0);
-  const avgDuration = STATE.history.length ? Math.floor(STATE.history.reduce((sum,h)=>sum+h.durationMs,0) / STATE.history.length) : 0;
-  const currentlyParked = STATE.slots.filter(s => s.occupied).length;
+  qs('#plateSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formats = qsa('#plateSettings [data-plate-format]').filter(box => box.checked).map(box => box.dataset.plateFormat);
+    if (!formats.length) { qs('#plateSettingsErr').textContent = 'Accept at least one plate format'; return; }
+    STATE.config.plates = { formats };
+    save('config', { note: 'Plate formats' });
+    toast('Plate formats saved', 'success');
+  });
 
-  const wrap = document.createElement('div');
-  wrap.innerHTML = `
-    <div class="kpis">
-      <div class="glass kpi"><div class="label">Total vehicles today</div><div class="value">${vehiclesToday}</div></div>
-      <div class="glass kpi"><div class="label">Total revenue</div><div class="value">₹${totalRevenue}</div></div>
-      <div class="glass kpi"><div class="label">Average duration</div><div class="value">${fmtDuration(avgDuration)}</div></div>
-      <div class="glass kpi"><div class="label">Currently parked</div><div class="value">${currentlyParked}</div></div>
-    </div>
-    <div class="charts">
-      <canvas class="glass chart" id="barChart" height="220"></canvas>
-      <canvas class="glass chart" id="pieChart" height="220"></canvas>
-      <canvas class="glass chart" id="lineChart" height="220"></canvas>
-    </div>
+  const syncEl = document.createElement('div');
+  syncEl.className = 'glass';
+  syncEl.style.cssText = 'padding:16px; margin-top:16px;';
+  syncEl.innerHTML = html`
+    <h3 class="mt-0">Live sync</h3>
+    <p class="muted">Tabs in this browser always stay in sync. To share the lot between gate terminals, run <code>node sync-server.js</code> on one machine and enter its address on every terminal.</p>
+    <form id="syncSettings" class="form">
+      <div class="form-row">
+        <label>Sync server address</label>
+        <input type="text" id="syncUrl" class="input" value="${STATE.config.sync.serverUrl}" placeholder="ws://192.168.1.10:8787" />
+        <div class="error" id="syncUrlErr"></div>
+      </div>
+      <div class="info-row"><div class="label">Status</div><div id="syncStatus">${cap(syncStatus)}</div></div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save and connect</button>
+    </form>
   `;
-  view().appendChild(wrap);
+  view().appendChild(syncEl);
 
-  // Simple canvas charts (vanilla)
-  drawBarChart('barChart', typeCounts());
-  drawPieChart('pieChart', typeCounts());
-  drawLineChart('lineChart', revenueByDay(7));
-}
+  qs('#syncSettings').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const serverUrl = qs('#syncUrl').value.trim();
+    if (serverUrl && !/^wss?:\/\/[^\s/]+/.test(serverUrl)) { qs('#syncUrlErr').textContent = 'Use a ws:// or wss:// address, or leave empty to turn off'; return; }
+    if (serverUrl && !STATE.config.invoice.series) { qs('#syncUrlErr').textContent = 'First give this terminal its own invoice series under Invoices & tax'; return; }
+    qs('#syncUrlErr').textContent = '';
+    STATE.config.sync = { serverUrl };
+    save('config', { note: 'Live sync' });
+    connectSyncServer();
+    toast(serverUrl ? 'Connecting to sync server' : 'Sync server turned off', 'success');
+  });
 
-/* Contact page */
-function renderContact() {
-  clearView();
-  const el = document.createElement('div');
-  el.className = 'glass';
-  el.style.padding = '16px';
-  el.innerHTML = `
-    <h3 style="margin-top:0;">Contact & Support</h3>
-    <p>Questions, feedback, or feature requests? Share your thoughts.</p>
-    <form id="contactForm" class="form">
+  const al = STATE.config.alerts;
+  const alertEl = document.createElement('div');
+  alertEl.className = 'glass';
+  alertEl.style.cssText = 'padding:16px; margin-top:16px;';
+  alertEl.innerHTML = html`
+    <h3 class="mt-0">Alerts</h3>
+    <form id="alertSettings" class="form">
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Vehicle</th><th>Maximum stay (hours, 0 = no limit)</th></tr></thead>
+          <tbody>${Object.entries(al.maxStayHours).map(([type, hours]) => html`
+            <tr><td><i class="${iconFor(type)} ${tintFor(type)}"></i> ${cap(type)}</td>
+              <td><input type="number" min="0" step="0.5" class="input" data-stay="${type}" value="${hours}" /></td></tr>`)}</tbody>
+        </table>
+      </div>
+      <div class="table-wrap">
+        <table class="table">
+          <thead><tr><th>Occupancy of</th><th>Alert at (%)</th><th></th></tr></thead>
+          <tbody id="capacityRows"></tbody>
+        </table>
+      </div>
+      <button type="button" class="btn btn-outline" id="addCapacityRule"><i class="fa-solid fa-plus"></i> Add occupancy rule</button>
       <div class="form-row">
-        <label>Your name</label>
-        <input type="text" id="cName" class="input" placeholder="Priya" />
-        <div class="error" id="cNameErr"></div>
+        <label><input type="checkbox" id="alertMismatch" ${al.typeMismatch ? 'checked' : ''} /> Alert when a vehicle is in a slot type that does not take it</label>
       </div>
       <div class="form-row">
-        <label>Email</label>
-        <input type="email" id="cEmail" class="input" placeholder="you@example.com" />
-        <div class="error" id="cEmailErr"></div>
+        <label>Snooze for (minutes)</label>
+        <input type="number" min="1" id="alertSnooze" class="input" value="${al.snoozeMinutes}" />
       </div>
       <div class="form-row">
-        <label>Message</label>
-        <textarea id="cMsg" class="input" rows="5" placeholder="Describe your issue or idea"></textarea>
-        <div class="error" id="cMsgErr"></div>
+        <label><input type="checkbox" id="alertBrowser" ${al.browserNotifications ? 'checked' : ''} ${window.Notification ? '' : 'disabled'} /> Also show browser notifications${window.Notification ? '' : ' (not supported by this browser)'}</label>
       </div>
-      <button class="btn btn-primary" type="submit"><i class="fa-solid fa-paper-plane"></i> Send</button>
+      <div class="error" id="alertSettingsErr"></div>
+      <button type="submit" class="btn btn-primary"><i class="fa-solid fa-floppy-disk"></i> Save alert rules</button>
     </form>
   `;
-  view().appendChild(el);
+  view().appendChild(alertEl);
 
-  qs('#contactForm').addEventListener('submit', (e) => {
+  const scopes = capacityScopes();
+  const capacityRow = (rule = { scope: 'lot', value: '', pct: 90 }) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = html`
+      <td><select data-field="scope">${scopes.map((c, i) => html`<option value="${i}" ${c.scope === rule.scope && c.value === rule.value ? 'selected' : ''}>${c.label}</option>`)}</select></td>
+      <td><input type="number" min="1" max="100" class="input" data-field="pct" value="${rule.pct}" /></td>
+      <td><button type="button" class="btn btn-remove" data-action="remove-rule"><i class="fa-solid fa-trash"></i></button></td>
+    `;
+    tr.querySelector('[data-action="remove-rule"]').addEventListener('click', () => tr.remove());
+    qs('#capacityRows').appendChild(tr);
+  };
+  al.capacity.forEach(capacityRow);
+  qs('#addCapacityRule').addEventListener('click', () => capacityRow());
+  qs('#alertSettings').addEventListener('submit', async (e) => {
     e.preventDefault();
-    const name = qs('#cName').value.trim();
-    const email = qs('#cEmail').value.trim();
-    const msg = qs('#cMsg').value.trim();
-    let ok = true;
-
-    ['#cName','#cEmail','#cMsg'].forEach(id => qs(id).classList.remove('invalid'));
-    ['#cNameErr','#cEmailErr','#cMsgErr'].forEach(id => qs(id).textContent = '');
-
-    if (name.length < 2) { qs('#cNameErr').textContent='Enter a valid name'; qs('#cName').classList.add('invalid'); ok=false; }
-    if (!/^\S+@\S+\.\S+$/.test(email)) { qs('#cEmailErr').textContent='Enter a valid email'; qs('#cEmail').classList.add('invalid'); ok=false; }
-    if (msg.length < 10) { qs('#cMsgErr').textContent='Please provide more details'; qs('#cMsg').classList.add('invalid'); ok=false; }
-
-    if (!ok) return;
-    toast('Message sent. We’ll get back to you soon.', 'success');
+    const maxStayHours = Object.fromEntries(qsa('#alertSettings [data-stay]').map(i => [i.dataset.stay, Number(i.value)]));
+    const capacity = qsa('#capacityRows tr').map(tr => {
+      const { scope, value } = scopes[tr.querySelector('[data-field="scope"]').value];
+      return { scope, value, pct: Number(tr.querySelector('[data-field="pct"]').value) };
+    });
+    const snoozeMinutes = parseInt(qs('#alertSnooze').value);
+    const err = qs('#alertSettingsErr');
+    if (Object.values(maxStayHours).some(h => !Number.isFinite(h) || h < 0)) { err.textContent = 'Maximum stay cannot be negative'; return; }
+    if (capacity.some(c => !(c.pct >= 1 && c.pct <= 100))) { err.textContent = 'Occupancy alerts need a percentage from 1 to 100'; return; }
+    if (!(snoozeMinutes >= 1)) { err.textContent = 'Snooze for at least 1 minute'; return; }
+    err.textContent = '';
+    let browserNotifications = qs('#alertBrowser').checked;
+    if (browserNotifications && Notification.permission !== 'granted') {
+      browserNotifications = await Notification.requestPermission() === 'granted';
+      if (!browserNotifications) toast('Browser notifications were blocked; alerts stay in the app', 'error');
+    }
+    STATE.config.alerts = { maxStayHours, capacity, typeMismatch: qs('#alertMismatch').checked, snoozeMinutes, browserNotifications };
+    save('config', { note: 'Alerts' });
+    checkAlerts();
+    toast('Alert rules saved', 'success');
   });
 }
 
@@ -517,13 +4224,16 @@ function iconFor(type){
   if (type === 'car') return 'fa-solid fa-car-side';
   if (type === 'bike') return 'fa-solid fa-motorcycle';
   if (type === 'truck') return 'fa-solid fa-truck';
+  if (type === 'ev') return 'fa-solid fa-charging-station';
+  if (type === 'accessible') return 'fa-solid fa-wheelchair';
+  if (type === 'compact') return 'fa-solid fa-compress';
   return 'fa-solid fa-square-parking';
 }
-function colorFor(type){
-  if (type === 'car') return 'var(--car)';
-  if (type === 'bike') return 'var(--bike)';
-  if (type === 'truck') return 'var(--truck)';
-  return 'var(--muted)';
+function tintFor(type){
+  return ['car', 'bike', 'truck'].includes(type) ? `tint-${type}` : 'tint-muted';
+}
+function feeLinesHtml(lines = []){
+  return lines.map(l => html`<div class="info-row"><div class="label">${l.label}</div><div>${l.amount < 0 ? '−' : ''}₹${Math.abs(l.amount)}</div></div>`);
 }
 const cap = s => s ? s[0].toUpperCase() + s.slice(1) : '';
 const capWords = s => s.replace(/\b\w/g, c => c.toUpperCase());
@@ -532,7 +4242,7 @@ const capWords = s => s.replace(/\b\w/g, c => c.toUpperCase());
 function showModal(title, bodyHtml, actions = []) {
   const modal = qs('#modal');
   qs('#modalTitle').textContent = title;
-  qs('#modalBody').innerHTML = bodyHtml;
+  qs('#modalBody').innerHTML = html`${bodyHtml}`; // plain strings are shown as text
   const footer = qs('#modalFooter');
   footer.innerHTML = '';
   actions.forEach(a => {
@@ -540,7 +4250,8 @@ function showModal(title, bodyHtml, actions = []) {
     b.className = `btn ${a.class || 'btn-primary'}`;
     b.textContent = a.label || 'OK';
     b.addEventListener('click', () => {
-      if (a.onClick) a.onClick();
+      // an action returns false to keep the modal open, e.g. when its form does not validate
+      if (a.onClick && a.onClick() === false) return;
       hideModal();
     });
     if (a.role === 'cancel') b.addEventListener('click', hideModal);
@@ -558,184 +4269,1044 @@ function showModal(title, bodyHtml, actions = []) {
   qs('#modalConfirm').onclick = hideModal;
 }
 function hideModal(){ qs('#modal').classList.add('hidden'); }
-function showConfirm(title, bodyHtml, onConfirm){
+// onCancel runs when the dialog is dismissed without confirming, by Cancel or the close button
+function showConfirm(title, bodyHtml, onConfirm, onCancel){
   showModal(title, bodyHtml, [
-    {label:'Cancel', class:'btn-outline', role:'cancel'},
+    {label:'Cancel', class:'btn-outline', role:'cancel', onClick:onCancel},
     {label:'Confirm', class:'btn-primary', role:'confirm', onClick:onConfirm}
   ]);
+  if (onCancel) qs('#modalClose').onclick = () => { onCancel(); hideModal(); };
+}
+
+/* Invoices
+   Numbers come from STATE.invoiceSeq, taken through reserveInvoiceNo, and are never handed
+   out twice, including for voided invoices. Every issue, reprint and void is kept in the invoice's audit list. */
+const round2 = n => Math.round(n * 100) / 100;
+const fmtMoney = n => `₹${Number.isInteger(n) ? n : n.toFixed(2)}`;
+
+const invoiceData = row => ({
+  invoiceNo: row.invoice.no,
+  status: row.invoice.status,
+  slotId: row.slotId,
+  ticketId: row.ticketId || null,
+  vehicleNumber: row.vehicleNumber,
+  owner: row.owner,
+  type: row.type,
+  entryTime: row.entryTime,
+  exitTime: row.exitTime,
+  duration: row.noShow ? 'No-show' : fmtDuration(row.durationMs),
+  feeLines: row.feeLines,
+  taxable: row.invoice.taxable,
+  taxes: row.invoice.taxes,
+  fee: row.invoice.total,
+});
+
+function taxLinesHtml(bill){
+  return html`
+    <div class="info-row"><div class="label">Taxable value</div><div>${fmtMoney(bill.taxable)}</div></div>
+    ${bill.taxes.map(t => html`<div class="info-row"><div class="label">${t.name} ${t.rate}%</div><div>${fmtMoney(t.amount)}</div></div>`)}
+  `;
 }
 
-/* Invoice */
-function showInvoice(data){
+function showInvoice(row){
   const modal = qs('#invoice');
-  qs('#invoiceBody').innerHTML = `
+  const data = invoiceData(row);
+  qs('#invoiceBody').innerHTML = html`
+    ${data.status === 'void' ? html`<div class="error">Voided ${fmtTime(row.invoice.voidedAt)}: ${row.invoice.voidReason}</div>` : ''}
+    <div class="info-row"><div class="label">Invoice no</div><div>${data.invoiceNo}</div></div>
     <div class="info-row"><div class="label">Slot</div><div>${data.slotId}</div></div>
+    ${data.ticketId ? html`<div class="info-row"><div class="label">Ticket</div><div>${data.ticketId}</div></div>` : ''}
     <div class="info-row"><div class="label">Vehicle</div><div>${data.vehicleNumber}</div></div>
     <div class="info-row"><div class="label">Owner</div><div>${data.owner}</div></div>
     <div class="info-row"><div class="label">Type</div><div>${cap(data.type)}</div></div>
     <div class="info-row"><div class="label">Entry</div><div>${fmtTime(data.entryTime)}</div></div>
     <div class="info-row"><div class="label">Exit</div><div>${fmtTime(data.exitTime)}</div></div>
     <div class="info-row"><div class="label">Duration</div><div>${data.duration}</div></div>
-    <div class="info-row"><div class="label">Total fee</div><div>₹${data.fee}</div></div>
+    ${row.exitBy ? html`<div class="info-row"><div class="label">Served by</div><div>${row.exitBy.name}</div></div>` : ''}
+    ${feeLinesHtml(data.feeLines)}
+    ${taxLinesHtml(data)}
+    <div class="info-row"><div class="label">Total fee</div><div>${fmtMoney(data.fee)}</div></div>
   `;
   modal.classList.remove('hidden');
 
   qs('#invoiceClose').onclick = () => modal.classList.add('hidden');
   qs('#invoiceOk').onclick = () => modal.classList.add('hidden');
-  qs('#invoiceDownload').onclick = () => downloadInvoicePdfLike(data);
-}
-
-function downloadInvoicePdfLike(data){
-  const text = `
-INVOICE
-Slot: ${data.slotId}
-Vehicle: ${data.vehicleNumber}
-Owner: ${data.owner}
-Type: ${cap(data.type)}
-Entry: ${fmtTime(data.entryTime)}
-Exit: ${fmtTime(data.exitTime)}
-Duration: ${data.duration}
-Total Fee: ₹${data.fee}
-  `.trim();
-  const blob = new Blob([text], { type: 'text/plain' });
+  qs('#invoiceDownload').onclick = () => downloadInvoicePdf(data);
+}
+
+// Reopen a past receipt; the reprint is recorded on the invoice
+function reprintInvoice(row){
+  row.invoice.audit.push({ at: Date.now(), action: 'reprinted', by: staffRef() });
+  touchRecord('history', row.id);
+  save('reprint', { target: row.invoice.no });
+  showInvoice(row);
+}
+
+function voidInvoiceFlow(row){
+  if (!can('void')) return;
+  if (inClosedShift(row)) { toast(`Invoice ${row.invoice.no} was collected in a shift that is already closed`, 'error'); return; }
+  showModal(`Void invoice ${row.invoice.no}?`, html`
+    <div class="info-row"><div class="label">Vehicle</div><div>${row.vehicleNumber}</div></div>
+    <div class="info-row"><div class="label">Exit</div><div>${fmtTime(row.exitTime)}</div></div>
+    <div class="info-row"><div class="label">Total</div><div>${fmtMoney(row.invoice.total)}</div></div>
+    <div class="form-row">
+      <label>Reason</label>
+      <input type="text" id="voidReason" class="input" placeholder="e.g. charged twice, refunded at gate" />
+    </div>
+  `, [
+    {label:'Cancel', class:'btn-outline', role:'cancel'},
+    {label:'Void invoice', class:'btn-remove', role:'confirm', onClick: () => {
+      const reason = qs('#voidReason').value.trim();
+      if (reason.length < 3) { toast('Give a reason to void the invoice', 'error'); return false; }
+      const at = Date.now();
+      Object.assign(row.invoice, { status: 'void', voidedAt: at, voidReason: reason });
+      row.invoice.audit.push({ at, action: 'voided', reason, amount: row.invoice.total, by: staffRef() });
+      touchRecord('history', row.id);
+      save('void', { target: row.invoice.no, note: reason });
+      navigate(currentPath());
+      toast(`Invoice ${row.invoice.no} voided`, 'success');
+    }},
+  ]);
+}
+
+// Compact transaction record encoded in the invoice QR code
+const invoiceQrPayload = d => [
+  `INV:${d.invoiceNo}`, `VEH:${d.vehicleNumber}`, `SLOT:${d.slotId}`,
+  `IN:${new Date(d.entryTime).toISOString()}`, `OUT:${new Date(d.exitTime).toISOString()}`, `FEE:${d.fee}`,
+].join(';');
+
+function downloadInvoicePdf(data){
+  const { lot } = STATE.config;
+  const doc = pdfDocument();
+  const muted = [100, 110, 125];
+  doc.rect(0, 0, PDF_W, 92, [12, 16, 28]);
+  doc.text(40, 26, lot.name, { size: 20, bold: true, rgb: [255, 255, 255] });
+  const lotLines = [lot.operator, lot.gstin && `GSTIN ${lot.gstin}`, [lot.address, lot.phone].filter(Boolean).join(' · ')].filter(Boolean);
+  lotLines.forEach((line, i) => doc.text(40, 50 + i * 13, line, { size: 9, rgb: [190, 200, 215] }));
+  doc.text(555, 26, 'INVOICE', { size: 18, bold: true, rgb: [0, 229, 255], align: 'right' });
+  doc.text(555, 52, data.invoiceNo, { size: 10, rgb: [190, 200, 215], align: 'right' });
+  doc.text(555, 66, fmtTime(data.exitTime), { size: 10, rgb: [190, 200, 215], align: 'right' });
+
+  let y = 120;
+  [
+    ['Slot', data.slotId], ...(data.ticketId ? [['Ticket', data.ticketId]] : []), ['Vehicle', data.vehicleNumber], ['Owner', data.owner], ['Type', cap(data.type)],
+    ['Entry', fmtTime(data.entryTime)], ['Exit', fmtTime(data.exitTime)], ['Duration', data.duration],
+  ].forEach(([label, value]) => {
+    doc.text(40, y, label, { size: 10, rgb: muted });
+    doc.text(130, y, value, { size: 11 });
+    y += 20;
+  });
+  doc.qr(425, 112, 130, invoiceQrPayload(data));
+  doc.text(490, 246, 'Scan to verify', { size: 8, rgb: muted, align: 'right' });
+
+  y = Math.max(y, 262) + 12;
+  doc.text(40, y, 'Fee breakdown', { size: 12, bold: true });
+  y += 22;
+  doc.line(40, y - 6, 555, y - 6);
+  (data.feeLines || []).forEach(l => {
+    doc.text(40, y, l.label, { size: 10 });
+    doc.text(555, y, `${l.amount < 0 ? '-' : ''}₹${Math.abs(l.amount)}`, { size: 10, align: 'right' });
+    y += 18;
+  });
+  doc.line(40, y, 555, y);
+  y += 10;
+  [['Taxable value', data.taxable], ...data.taxes.map(t => [`${t.name} @ ${t.rate}%`, t.amount])].forEach(([label, amount]) => {
+    doc.text(330, y, label, { size: 10, rgb: muted });
+    doc.text(555, y, fmtMoney(amount), { size: 10, align: 'right' });
+    y += 16;
+  });
+  y += 4;
+  doc.text(330, y, 'Total fee', { size: 12, bold: true });
+  doc.text(555, y, fmtMoney(data.fee), { size: 12, bold: true, align: 'right' });
+  if (data.status === 'void') doc.text(40, y, 'VOID', { size: 28, bold: true, rgb: [220, 40, 40] });
+  doc.text(40, PDF_H - 50, 'Thank you for parking with us.', { size: 9, rgb: muted });
+
+  downloadBlob(doc.toBlob(), `invoice_${data.invoiceNo.replace(/[^\w-]+/g, '-')}.pdf`);
+}
+
+const downloadBlob = (blob, filename) => {
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = `invoice_${data.vehicleNumber}_${Date.now()}.txt`;
+  a.download = filename;
   a.click();
-}
+};
 
 /* Export */
-function exportCSV(){
+function exportCSV(history = STATE.history){
   const rows = [
-    ['Vehicle number','Owner','Vehicle type','Slot number','Entry time','Exit time','Total duration','Fee collected'],
-    ...STATE.history.map(h => [
-      h.vehicleNumber, h.owner, cap(h.type), h.slotId, fmtTime(h.entryTime), fmtTime(h.exitTime), fmtDuration(h.durationMs), h.fee
+    HISTORY_CSV_HEADER,
+    ...history.map(h => [
+      // ISO 8601 so the file reads back the same in every locale (see parseTime)
+      h.vehicleNumber, h.owner, cap(h.type), h.slotId, new Date(h.entryTime).toISOString(), new Date(h.exitTime).toISOString(), fmtDuration(h.durationMs), isVoided(h) ? 0 : h.fee
     ])
   ];
   const csv = rows.map(r => r.map(v => `"${String(v).replace(/"/g,'""')}"`).join(',')).join('\n');
-  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = `parking_history_${Date.now()}.csv`;
-  a.click();
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `parking_history_${Date.now()}.csv`);
 }
-function exportExcel(){
-  // Simple CSV with .xls extension for quick spreadsheet open
-  const rows = [
-    ['Vehicle number','Owner','Vehicle type','Slot number','Entry time','Exit time','Total duration','Fee collected'],
-    ...STATE.history.map(h => [
-      h.vehicleNumber, h.owner, cap(h.type), h.slotId, fmtTime(h.entryTime), fmtTime(h.exitTime), fmtDuration(h.durationMs), h.fee
-    ])
+// Workbook with a summary sheet, all visits, and one sheet per vehicle type
+function exportExcel(history = STATE.history){
+  const header = HISTORY_COLUMNS.map(([, label]) => ({ v: label, t: 'bold' }));
+  const visitRow = h => [
+    h.vehicleNumber, h.owner, cap(h.type), h.slotId, { v: h.entryTime, t: 'date' }, { v: h.exitTime, t: 'date' },
+    { v: h.durationMs, t: 'duration' }, { v: h.fee, t: 'money' },
   ];
-  const tsv = rows.map(r => r.join('\t')).join('\n');
-  const blob = new Blob([tsv], { type: 'application/vnd.ms-excel' });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = `parking_history_${Date.now()}.xls`;
-  a.click();
+  const totals = rows => {
+    const visits = rows.filter(h => !h.noShow);
+    const revenue = feeTotal(rows);
+    const avg = visits.length ? visits.reduce((sum,h) => sum + h.durationMs, 0) / visits.length : 0;
+    return [visits.length, { v: revenue, t: 'money' }, { v: avg, t: 'duration' }];
+  };
+  const types = ['car','bike','truck'];
+  const summary = [
+    [{ v: `${STATE.config.lot.name} — parking history`, t: 'bold' }],
+    ['Generated', { v: Date.now(), t: 'date' }],
+    ['Rows exported', history.length],
+    [],
+    ['Vehicle type', 'Visits', 'Revenue', 'Average duration'].map(v => ({ v, t: 'bold' })),
+    ...types.map(t => [cap(t), ...totals(history.filter(h => h.type === t))]),
+    [{ v: 'Total', t: 'bold' }, ...totals(history)],
+  ];
+  const sheets = [
+    { name: 'Summary', rows: summary },
+    { name: 'All visits', rows: [header, ...history.map(visitRow)] },
+    ...types.map(t => ({ name: cap(t), rows: [header, ...history.filter(h => h.type === t).map(visitRow)] })),
+  ];
+  downloadBlob(xlsxBlob(sheets), `parking_history_${Date.now()}.xlsx`);
+}
+
+/* QR code
+   Byte-mode encoder, error correction level M, versions 1–40 (ISO/IEC 18004).
+   qrMatrix(text) returns rows of booleans, true = dark module. */
+const QR_ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_FORMAT_M = 0;
+
+const qrRawModules = ver => {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+};
+const qrDataCodewords = ver => Math.floor(qrRawModules(ver) / 8) - QR_ECC_PER_BLOCK[ver] * QR_BLOCKS[ver];
+
+const gfMul = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xFF;
+};
+const rsDivisor = degree => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+};
+const rsRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  });
+  return result;
+};
+
+function qrMatrix(text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  let ver = 1;
+  while (ver <= 40 && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(ver) * 8) ver++;
+  if (ver > 40) throw new Error('Text too long for a QR code');
+
+  // Data bits: byte mode indicator, length, payload, terminator, padding
+  const bits = [];
+  const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0x4, 4);
+  push(bytes.length, ver < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  const capacity = qrDataCodewords(ver) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+  // Split into blocks, add error correction, interleave
+  const numBlocks = QR_BLOCKS[ver], eccLen = QR_ECC_PER_BLOCK[ver];
+  const rawCodewords = Math.floor(qrRawModules(ver) / 8);
+  const numShort = numBlocks - rawCodewords % numBlocks;
+  const shortLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(eccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShort) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => { if (i !== shortLen - eccLen || j >= numShort) codewords.push(block[i]); });
+  }
+
+  // Function patterns
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFn = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFn = (x, y, dark) => { modules[y][x] = dark; isFn[y][x] = true; };
+  for (let i = 0; i < size; i++) { setFn(6, i, i % 2 === 0); setFn(i, 6, i % 2 === 0); }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+    for (let dy = -4; dy <= 4; dy++) for (let dx = -4; dx <= 4; dx++) {
+      const dist = Math.max(Math.abs(dx), Math.abs(dy));
+      if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) setFn(x + dx, y + dy, dist !== 2 && dist !== 4);
+    }
+  });
+  if (ver > 1) {
+    const count = Math.floor(ver / 7) + 2;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (count * 2 - 2)) * 2;
+    const pos = [6];
+    for (let p = size - 7; pos.length < count; p -= step) pos.splice(1, 0, p);
+    pos.forEach((y, i) => pos.forEach((x, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === count - 1) || (i === count - 1 && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) setFn(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }));
+  }
+  const drawFormat = mask => {
+    const fmt = (QR_FORMAT_M << 3) | mask;
+    let rem = fmt;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const b = ((fmt << 10) | rem) ^ 0x5412;
+    const bit = i => ((b >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) setFn(8, i, bit(i));
+    setFn(8, 7, bit(6)); setFn(8, 8, bit(7)); setFn(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFn(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFn(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFn(8, size - 15 + i, bit(i));
+    setFn(8, size - 8, true);
+  };
+  drawFormat(0);
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const b = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((b >>> i) & 1) === 1, a = size - 11 + i % 3, c = Math.floor(i / 3);
+      setFn(a, c, dark); setFn(c, a, dark);
+    }
+  }
+
+  // Codewords in the zigzag order
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) for (let j = 0; j < 2; j++) {
+      const x = right - j;
+      const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+      if (!isFn[y][x] && i < codewords.length * 8) {
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+
+  // Pick the mask with the lowest penalty
+  const maskFns = [
+    (x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, x => x % 3 === 0, (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0, (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+  ];
+  const applyMask = m => {
+    for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) {
+      if (!isFn[y][x] && maskFns[m](x, y)) modules[y][x] = !modules[y][x];
+    }
+  };
+  const penalty = () => {
+    let score = 0, dark = 0;
+    const finderA = '10111010000', finderB = '00001011101';
+    const lineScore = line => {
+      let s = 0, run = 1;
+      for (let k = 1; k <= line.length; k++) {
+        if (k < line.length && line[k] === line[k - 1]) { run++; continue; }
+        if (run >= 5) s += 3 + run - 5;
+        run = 1;
+      }
+      const str = line.map(v => v ? 1 : 0).join('');
+      for (let k = str.indexOf(finderA); k !== -1; k = str.indexOf(finderA, k + 1)) s += 40;
+      for (let k = str.indexOf(finderB); k !== -1; k = str.indexOf(finderB, k + 1)) s += 40;
+      return s;
+    };
+    for (let y = 0; y < size; y++) {
+      score += lineScore(modules[y]);
+      score += lineScore(modules.map(row => row[y]));
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    return score + (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  };
+  let best = 0, bestScore = Infinity;
+  for (let m = 0; m < 8; m++) {
+    applyMask(m);
+    drawFormat(m);
+    const p = penalty();
+    if (p < bestScore) { best = m; bestScore = p; }
+    applyMask(m);
+  }
+  applyMask(best);
+  drawFormat(best);
+  return modules;
+}
+
+// Inline SVG for screen and print, with the 4-module quiet zone inside the viewBox
+function qrSvg(text) {
+  const m = qrMatrix(text);
+  const size = m.length + 8;
+  const d = m.flatMap((row, y) => row.map((dark, x) => dark ? `M${x + 4} ${y + 4}h1v1h-1z` : '')).join('');
+  return html`<svg class="qr" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img" aria-label="QR code ${text}"><path d="${d}" /></svg>`;
+}
+
+/* ZIP (stored, no compression) — enough for an .xlsx package */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = bytes => {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+};
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [], central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const nameBytes = enc.encode(name);
+    const body = typeof data === 'string' ? enc.encode(data) : data;
+    const crc = crc32(body);
+    const local = new DataView(new ArrayBuffer(30));
+    [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], [10, dosTime, 2], [12, dosDate, 2],
+      [14, crc, 4], [18, body.length, 4], [22, body.length, 4], [26, nameBytes.length, 2], [28, 0, 2]]
+      .forEach(([at, v, len]) => len === 4 ? local.setUint32(at, v, true) : local.setUint16(at, v, true));
+    const dir = new DataView(new ArrayBuffer(46));
+    [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2], [12, dosTime, 2], [14, dosDate, 2],
+      [16, crc, 4], [20, body.length, 4], [24, body.length, 4], [28, nameBytes.length, 2], [30, 0, 2], [32, 0, 2],
+      [34, 0, 2], [36, 0, 2], [38, 0, 4], [42, offset, 4]]
+      .forEach(([at, v, len]) => len === 4 ? dir.setUint32(at, v, true) : dir.setUint16(at, v, true));
+    parts.push(new Uint8Array(local.buffer), nameBytes, body);
+    central.push(new Uint8Array(dir.buffer), nameBytes);
+    offset += 30 + nameBytes.length + body.length;
+  });
+  const dirSize = central.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+/* XLSX writer
+   sheets: [{ name, rows: [[cell]] }] where a cell is a string, a number or
+   { v, t: 'date' | 'duration' | 'money' | 'bold' }. */
+const xmlEscape = v => String(v).replace(/[<>&"']/g, c => ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', '"':'&quot;', "'":'&apos;' }[c]));
+const XLSX_STYLE = { bold: 1, date: 2, duration: 3, money: 4 };
+const colName = i => (i >= 26 ? colName(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + i % 26);
+const excelSerial = ts => (ts - new Date(ts).getTimezoneOffset() * 60000) / 86400000 + 25569;
+
+function xlsxBlob(sheets) {
+  const ns = 'http://schemas.openxmlformats.org';
+  const cellXml = (cell, ref) => {
+    const { v, t } = cell !== null && typeof cell === 'object' ? cell : { v: cell };
+    if (v === null || v === undefined || v === '') return '';
+    const style = XLSX_STYLE[t] ? ` s="${XLSX_STYLE[t]}"` : '';
+    if (t === 'date') return `<c r="${ref}"${style}><v>${excelSerial(v)}</v></c>`;
+    if (t === 'duration') return `<c r="${ref}"${style}><v>${v / 86400000}</v></c>`;
+    if (typeof v === 'number') return `<c r="${ref}"${style}><v>${v}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  };
+  const sheetXml = rows => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="${ns}/spreadsheetml/2006/main"><cols><col min="1" max="${Math.max(1, ...rows.map(r => r.length))}" width="20" customWidth="1"/></cols><sheetData>${
+  rows.map((row, r) => `<row r="${r + 1}">${row.map((cell, c) => cellXml(cell, `${colName(c)}${r + 1}`)).join('')}</row>`).join('')
+}</sheetData></worksheet>`;
+
+  const files = [
+    { name: '[Content_Types].xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="${ns}/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${
+  sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+}</Types>` },
+    { name: '_rels/.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${ns}/package/2006/relationships"><Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>${
+  sheets.map((sh, i) => `<sheet name="${xmlEscape(sh.name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+}</sheets></workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${ns}/package/2006/relationships">${
+  sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+}<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>` },
+    { name: 'xl/styles.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="${ns}/spreadsheetml/2006/main"><numFmts count="3"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/><numFmt numFmtId="165" formatCode="[h]:mm:ss"/><numFmt numFmtId="166" formatCode="&quot;₹&quot;#,##0.00"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="5"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>` },
+    ...sheets.map((sh, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sh.rows) })),
+  ];
+  return new Blob([zipStore(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+/* PDF writer
+   Single-page A4 documents with the built-in Helvetica fonts. Coordinates are in
+   points from the top-left; text is limited to Latin-1, so ₹ is written as "Rs.". */
+const PDF_W = 595, PDF_H = 842;
+const pdfText = v => String(v).replace(/₹/g, 'Rs. ').replace(/[–—]/g, '-').replace(/[−]/g, '-').replace(/·/g, '-').replace(/×/g, 'x')
+  .replace(/[^\x20-\x7E]/g, '?').replace(/[\\()]/g, c => `\\${c}`);
+// Approximate Helvetica advance widths (1/1000 em) for right-aligned amounts
+const pdfTextWidth = (str, size) => String(str).split('').reduce((w, c) =>
+  w + (/[0-9]/.test(c) ? 556 : /[ .,:;!|il]/.test(c) ? 278 : /[A-Z]/.test(c) ? 667 : 520), 0) * size / 1000;
+
+function pdfDocument() {
+  const ops = [];
+  const color = ([r, g, b]) => `${r / 255} ${g / 255} ${b / 255}`;
+  const doc = {
+    text(x, top, str, { size = 11, bold = false, rgb = [20, 24, 32], align = 'left' } = {}) {
+      const clean = pdfText(str);
+      const w = align === 'right' ? pdfTextWidth(clean, size) : 0;
+      ops.push(`BT ${color(rgb)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${(x - w).toFixed(2)} ${(PDF_H - top - size).toFixed(2)} Td (${clean}) Tj ET`);
+      return doc;
+    },
+    rect(x, top, w, h, rgb) {
+      ops.push(`${color(rgb)} rg ${x.toFixed(2)} ${(PDF_H - top - h).toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+      return doc;
+    },
+    line(x1, top1, x2, top2, rgb = [200, 205, 215], width = 0.8) {
+      ops.push(`${color(rgb)} RG ${width} w ${x1} ${PDF_H - top1} m ${x2} ${PDF_H - top2} l S`);
+      return doc;
+    },
+    qr(x, top, size, text) {
+      const m = qrMatrix(text);
+      const cell = size / (m.length + 8); // 4-module quiet zone each side
+      doc.rect(x, top, size, size, [255, 255, 255]);
+      m.forEach((row, y) => row.forEach((dark, cx) => {
+        if (dark) ops.push(`0 0 0 rg ${(x + (cx + 4) * cell).toFixed(2)} ${(PDF_H - top - (y + 5) * cell).toFixed(2)} ${cell.toFixed(3)} ${cell.toFixed(3)} re f`);
+      }));
+      return doc;
+    },
+    toBlob() {
+      const stream = ops.join('\n');
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_W} ${PDF_H}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+      ];
+      let out = '%PDF-1.4\n';
+      const offsets = objects.map((obj, i) => {
+        const at = out.length;
+        out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+        return at;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+      return new Blob([out], { type: 'application/pdf' });
+    },
+  };
+  return doc;
+}
+
+/* Analytics helpers
+   A range is whole local days. Visits are counted on the day they ended; occupancy
+   comes from entry/exit intervals (vehicles still parked count up to now). */
+const DWELL_BUCKETS = [
+  { label: '<30m', max: 30 * MINUTE }, { label: '30m–1h', max: HOUR }, { label: '1–2h', max: 2 * HOUR },
+  { label: '2–4h', max: 4 * HOUR }, { label: '4–8h', max: 8 * HOUR }, { label: '8–24h', max: 24 * HOUR },
+  { label: '1d+', max: Infinity },
+];
+
+// From #/analytics?from=&to= or ?days=; the last 7 days by default
+function analyticsRange(){
+  const params = routeParams();
+  const today = dateInputValue(Date.now());
+  if (params.get('from') && params.get('to')) {
+    const from = dayStartFromInput(params.get('from')), to = dayEndFromInput(params.get('to'));
+    if (from < to) return { from, to, days: Math.round((to - from) / 86400000), preset: null };
+  }
+  const days = Math.max(1, Number(params.get('days')) || 7);
+  const start = new Date(); start.setHours(0,0,0,0); start.setDate(start.getDate() - days + 1);
+  return { from: start.getTime(), to: dayEndFromInput(today), days, preset: String(days) };
+}
+
+// [start, end] stays overlapping the range, clipped to it
+function occupancyIntervals(from, to){
+  const now = Date.now();
+  const stays = STATE.history.filter(h => !h.noShow && h.entryTime)
+    .map(h => ({ slotId: h.slotId, start: h.entryTime, end: h.exitTime }))
+    .concat(STATE.slots.filter(s => s.occupied).map(s => ({ slotId: s.id, start: s.entryTime, end: now })));
+  return stays.filter(s => s.start <= to && s.end >= from)
+    .map(s => ({ ...s, start: Math.max(s.start, from), end: Math.min(s.end, to, now) }))
+    .filter(s => s.end > s.start);
+}
+
+function periodStats(from, to){
+  const rows = STATE.history.filter(h => h.exitTime >= from && h.exitTime <= to);
+  const visits = rows.filter(h => !h.noShow);
+  const revenue = feeTotal(rows);
+  const slots = STATE.slots.filter(s => !s.maintenance).length || 1;
+  const elapsed = Math.max(0, Math.min(to, Date.now()) - from);
+  const occupiedMs = occupancyIntervals(from, to).reduce((sum,s) => sum + s.end - s.start, 0);
+  return {
+    visits,
+    vehicles: visits.length,
+    revenue: round2(revenue),
+    avgStay: visits.length ? Math.floor(visits.reduce((sum,h) => sum + h.durationMs, 0) / visits.length) : 0,
+    occupancy: elapsed ? occupiedMs / (slots * elapsed) : 0,
+    revPas: round2(revenue / slots / Math.max(1, Math.round((to - from) / 86400000))),
+  };
+}
+
+// Hour-of-week grid; pct = slot-hours used / slot-hours available in those hours of the range
+function occupancyHeatmap(from, to){
+  const slots = STATE.slots.filter(s => !s.maintenance).length || 1;
+  const cells = [];
+  for (let day = 0; day < 7; day++) for (let hour = 0; hour < 24; hour++) cells.push({ day, hour, hours: 0, usedMs: 0, pct: 0 });
+  const cellAt = ts => { const d = new Date(ts); return cells[d.getDay() * 24 + d.getHours()]; };
+  const end = Math.min(to, Date.now());
+  for (let t = from; t < end; t += HOUR) cellAt(t).hours++;
+  occupancyIntervals(from, to).forEach(s => {
+    for (let t = s.start; t < s.end;) {
+      const next = new Date(t); next.setMinutes(60, 0, 0);
+      const stop = Math.min(next.getTime(), s.end);
+      cellAt(t).usedMs += stop - t;
+      t = stop;
+    }
+  });
+  cells.forEach(c => { c.pct = c.hours ? Math.min(1, c.usedMs / (c.hours * slots * HOUR)) : 0; });
+  return { cells };
 }
 
-/* Analytics helpers */
-function typeCounts(){
-  const counts = { car:0, bike:0, truck:0 };
-  STATE.history.forEach(h => counts[h.type]++);
-  STATE.slots.filter(s=>s.occupied).forEach(s => counts[s.vehicle.type]++);
+function dwellHistogram(visits){
+  const counts = DWELL_BUCKETS.map(b => ({ label: b.label, value: 0 }));
+  visits.forEach(h => { counts[DWELL_BUCKETS.findIndex(b => h.durationMs < b.max)].value++; });
   return counts;
 }
-function revenueByDay(days) {
-  const map = [];
-  for (let i = days-1; i >= 0; i--) {
-    const d = new Date(); d.setDate(d.getDate()-i); d.setHours(0,0,0,0);
+
+function slotUtilisation(from, to){
+  const span = Math.max(1, Math.min(to, Date.now()) - from);
+  const intervals = occupancyIntervals(from, to);
+  const rows = STATE.history.filter(h => h.exitTime >= from && h.exitTime <= to);
+  return STATE.slots.map(slot => {
+    const occupiedMs = intervals.filter(s => s.slotId === slot.id).reduce((sum,s) => sum + s.end - s.start, 0);
+    const mine = rows.filter(h => h.slotId === slot.id);
+    return {
+      slot,
+      occupiedMs,
+      rate: occupiedMs / span,
+      visits: mine.filter(h => !h.noShow).length,
+      revenue: round2(feeTotal(mine)),
+    };
+  }).sort((a,b) => b.rate - a.rate || a.slot.id - b.slot.id);
+}
+
+const kpiHtml = (label, value, previous, fmt) => {
+  const change = previous ? (value - previous) / previous : null;
+  const trend = change === null ? (value ? 'new' : '—')
+    : `${change >= 0 ? '▲' : '▼'} ${Math.abs(Math.round(change * 100))}%`;
+  return html`<div class="glass kpi"><div class="label">${label}</div><div class="value">${fmt(value)}</div>
+    <div class="label" title="Previous period: ${fmt(previous)}">${trend} vs ${fmt(previous)}</div></div>`;
+};
+
+/* Forecasting
+   Seasonal baselines: each weekday-and-hour (occupancy) and each weekday (revenue) is
+   predicted from the same slot in the last FORECAST_WEEKS weeks. Bands are 95% prediction
+   intervals; with little history they are wide. Accuracy is checked by forecasting each
+   recent day from the data that existed before it. */
+const FORECAST_WEEKS = 8;
+const FORECAST_Z = 1.96;
+const BACKTEST_DAYS = 14;
+const DAY_MS = 86400000;
+const hourStart = ts => new Date(ts).setMinutes(0, 0, 0);
+const dayStart = ts => new Date(ts).setHours(0, 0, 0, 0);
+
+// Average occupied slots per hour and revenue per day, from the first recorded day until now
+function forecastSeries(){
+  const now = Date.now();
+  const known = STATE.history.filter(h => !h.noShow && h.entryTime).map(h => h.entryTime)
+    .concat(STATE.slots.filter(s => s.occupied).map(s => s.entryTime));
+  // reduce, not Math.min(...known): spreading a long history overflows the call stack
+  const first = known.reduce((min, t) => t < min ? t : min, now);
+  const from = Math.max(dayStart(first), dayStart(now - (FORECAST_WEEKS * 7 + BACKTEST_DAYS) * DAY_MS));
+  const occupied = new Map(), revenue = new Map();
+  for (let t = from; t < now; t = hourStart(t) + HOUR) occupied.set(hourStart(t), 0);
+  occupancyIntervals(from, now).forEach(s => {
+    for (let t = s.start; t < s.end;) {
+      const h = hourStart(t), stop = Math.min(h + HOUR, s.end);
+      occupied.set(h, (occupied.get(h) || 0) + (stop - t) / HOUR);
+      t = stop;
+    }
+  });
+  for (const d = new Date(from); d.getTime() < now; d.setDate(d.getDate() + 1)) revenue.set(d.getTime(), 0);
+  STATE.history.filter(h => h.exitTime >= from && !isVoided(h)).forEach(h => {
+    const day = dayStart(h.exitTime);
+    revenue.set(day, (revenue.get(day) || 0) + h.fee);
+  });
+  return { from, occupied, revenue };
+}
+
+const sampleStats = xs => {
+  const n = xs.length, mean = n ? xs.reduce((a,b) => a + b, 0) / n : 0;
+  // one sample says nothing about spread, so assume it could be off by its own size
+  const sd = n > 1 ? Math.sqrt(xs.reduce((a,x) => a + (x - mean) ** 2, 0) / (n - 1)) : mean;
+  return { n, mean, sd };
+};
+
+// Baselines from complete days before `until` (a day start)
+function seasonalBaseline(series, until){
+  const since = until - FORECAST_WEEKS * 7 * DAY_MS;
+  const hours = Array.from({ length: 168 }, () => []), days = Array.from({ length: 7 }, () => []);
+  series.occupied.forEach((v, t) => { if (t >= since && t < until) { const d = new Date(t); hours[d.getDay() * 24 + d.getHours()].push(v); } });
+  series.revenue.forEach((v, t) => { if (t >= since && t < until) days[new Date(t).getDay()].push(v); });
+  return { hours: hours.map(sampleStats), days: days.map(sampleStats) };
+}
+
+const predict = (st, max = Infinity) => {
+  if (!st.n) return null;
+  const spread = FORECAST_Z * st.sd * Math.sqrt(1 + 1 / st.n);
+  return { mean: st.mean, low: Math.max(0, st.mean - spread), high: Math.min(max, st.mean + spread), sd: spread / FORECAST_Z };
+};
+const forecastHour = (base, ts) => { const d = new Date(ts); return predict(base.hours[d.getDay() * 24 + d.getHours()], STATE.slots.length); };
+const forecastRevenue = (base, ts) => predict(base.days[new Date(ts).getDay()]);
+
+// Forecast each of the last BACKTEST_DAYS complete days and compare with what happened
+function forecastAccuracy(series){
+  const today = dayStart(Date.now());
+  const days = [];
+  for (let i = BACKTEST_DAYS; i >= 1; i--) {
+    const d = new Date(today); d.setDate(d.getDate() - i);
     const start = d.getTime();
-    const end = start + 86400000 - 1;
-    const revenue = STATE.history.filter(h => h.exitTime >= start && h.exitTime <= end).reduce((sum,h)=>sum+h.fee,0);
-    map.push({ label: `${d.getMonth()+1}/${d.getDate()}`, value: revenue });
-  }
-  return map;
-}
-
-/* Canvas charts */
-function drawBarChart(id, counts) {
-  const ctx = qs(`#${id}`).getContext('2d');
-  const labels = ['Car','Bike','Truck'];
-  const values = [counts.car, counts.bike, counts.truck];
-  const colors = ['#ff3b3b','#ff8c1a','#b26bff'];
-  basicBars(ctx, labels, values, colors);
-}
-function drawPieChart(id, counts) {
-  const ctx = qs(`#${id}`).getContext('2d');
-  const values = [counts.car, counts.bike, counts.truck];
-  const colors = ['#ff3b3b','#ff8c1a','#b26bff'];
-  basicPie(ctx, values, colors);
-}
-function drawLineChart(id, series) {
-  const ctx = qs(`#${id}`).getContext('2d');
-  const labels = series.map(s=>s.label);
-  const values = series.map(s=>s.value);
-  basicLine(ctx, labels, values, '#00e5ff');
-}
-function basicBars(ctx, labels, values, colors){
-  const w = ctx.canvas.width, h = ctx.canvas.height;
-  ctx.clearRect(0,0,w,h);
-  const max = Math.max(1, ...values);
-  const barW = (w - 40) / values.length;
-  labels.forEach((lab,i) => {
-    const x = 20 + i*barW;
-    const vh = (h - 40) * (values[i]/max);
-    ctx.fillStyle = colors[i];
-    ctx.shadowColor = colors[i];
-    ctx.shadowBlur = 12;
-    ctx.fillRect(x, h-20-vh, barW-20, vh);
-    ctx.shadowBlur = 0;
-    ctx.fillStyle = '#a3afc2';
-    ctx.fillText(lab, x, h-6);
-  });
-}
-function basicPie(ctx, values, colors){
-  const w = ctx.canvas.width, h = ctx.canvas.height;
-  ctx.clearRect(0,0,w,h);
-  const total = values.reduce((a,b)=>a+b,0) || 1;
-  let start = -Math.PI/2;
-  const cx = w/2, cy = h/2, r = Math.min(w,h)/2 - 20;
-  values.forEach((v,i) => {
-    const ang = (v/total) * Math.PI*2;
+    if (start < series.from) continue;
+    const base = seasonalBaseline(series, start);
+    const revenue = forecastRevenue(base, start);
+    if (!revenue) continue;
+    const hours = [];
+    for (let t = start; t < start + DAY_MS && series.occupied.has(hourStart(t)); t = hourStart(t) + HOUR) {
+      const f = forecastHour(base, t);
+      if (f) hours.push({ f, actual: series.occupied.get(hourStart(t)) });
+    }
+    days.push({ day: start, revenue, actual: series.revenue.get(start) || 0, hours });
+  }
+  const hours = days.flatMap(d => d.hours);
+  const actualRevenue = days.reduce((sum,d) => sum + d.actual, 0);
+  const inBand = days.filter(d => d.actual >= d.revenue.low && d.actual <= d.revenue.high).length
+    + hours.filter(h => h.actual >= h.f.low && h.actual <= h.f.high).length;
+  return {
+    days,
+    revenueError: actualRevenue ? days.reduce((sum,d) => sum + Math.abs(d.revenue.mean - d.actual), 0) / actualRevenue : null,
+    occupancyMae: hours.length ? hours.reduce((sum,h) => sum + Math.abs(h.f.mean - h.actual), 0) / hours.length : null,
+    coverage: days.length + hours.length ? inBand / (days.length + hours.length) : null,
+  };
+}
+
+/* Charts
+   renderChart(canvas, spec) draws a bar, line or pie chart and keeps it live: it is
+   scaled for devicePixelRatio, redrawn when the window resizes, shows a tooltip on hover
+   (or arrow keys once focused) and writes the same numbers into a visually hidden table
+   for screen readers. spec = { type, title, labels, series: [{ name, values, color, band }],
+   colors (one per label; bar and pie), format (value → text) }. A line series may carry
+   band = { low, high } arrays, drawn as a shaded range around it. */
+const CHART_TEXT = '#a3afc2';
+const CHART_GRID = 'rgba(163,175,194,0.18)';
+const TYPE_COLORS = { car: '#ff3b3b', bike: '#ff8c1a', truck: '#b26bff' };
+const SR_ONLY = 'position:absolute; width:1px; height:1px; padding:0; margin:-1px; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap; border:0;';
+const liveCharts = new Map(); // canvas → chart
+// Forget charts whose canvas left the page
+const pruneCharts = () => liveCharts.forEach((chart, canvas) => { if (!canvas.isConnected) liveCharts.delete(canvas); });
+
+// Round axis steps to 1, 2 or 5 × 10^n
+const niceTicks = (max, count = 5) => {
+  if (max <= 0) return [0, 1];
+  const raw = max / count, mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(st => st >= raw);
+  const ticks = [];
+  for (let v = 0; v < max + step; v += step) ticks.push(round2(v));
+  return ticks;
+};
+
+function renderChart(canvas, spec){
+  const chart = liveCharts.get(canvas) || { canvas, hits: [], active: -1 };
+  chart.spec = { format: v => String(v), series: [], colors: [], ...spec };
+  chart.cssHeight = chart.cssHeight || Number(canvas.getAttribute('height')) || 220;
+  if (!liveCharts.has(canvas)) {
+    liveCharts.set(canvas, chart);
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'img');
+    canvas.addEventListener('mousemove', e => {
+      const box = canvas.getBoundingClientRect();
+      showChartTip(chart, chart.hits.findIndex(hit => hit.test(e.clientX - box.left, e.clientY - box.top)));
+    });
+    canvas.addEventListener('mouseleave', () => showChartTip(chart, -1));
+    canvas.addEventListener('blur', () => showChartTip(chart, -1));
+    canvas.addEventListener('keydown', e => {
+      const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+      if (!step || !chart.hits.length) return;
+      e.preventDefault();
+      showChartTip(chart, (chart.active + step + chart.hits.length) % chart.hits.length);
+    });
+  }
+  canvas.setAttribute('aria-label', `${chart.spec.title} (chart; the values follow as a table)`);
+  chartTable(chart);
+  drawChart(chart);
+  return chart;
+}
+
+function drawChart(chart){
+  const { canvas, spec } = chart;
+  const dpr = window.devicePixelRatio || 1;
+  const w = canvas.clientWidth || canvas.parentElement?.clientWidth || 320, h = chart.cssHeight;
+  canvas.style.height = `${h}px`;
+  canvas.width = Math.round(w * dpr);
+  canvas.height = Math.round(h * dpr);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = '12px sans-serif';
+  ctx.fillStyle = CHART_TEXT;
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+  ctx.fillText(spec.title, 12, 18);
+  chart.hits = [];
+  if (spec.type === 'pie') drawPie(chart, ctx, w, h);
+  else drawAxes(chart, ctx, w, h);
+  if (chart.active >= chart.hits.length) chart.active = -1;
+}
+
+// Bar and line charts share the axes, gridlines and legend
+function drawAxes(chart, ctx, w, h){
+  const { spec } = chart;
+  const many = spec.series.length > 1;
+  const max = Math.max(0, ...spec.series.flatMap(se => se.band ? [...se.values, ...se.band.high] : se.values));
+  const ticks = niceTicks(max);
+  const top = many ? 44 : 30, bottom = h - 24;
+  const left = 12 + Math.max(...ticks.map(t => ctx.measureText(spec.format(t)).width)), right = w - 12;
+  const y = v => bottom - (bottom - top) * (v / ticks[ticks.length - 1]);
+
+  ctx.textAlign = 'right';
+  ticks.forEach(t => {
+    ctx.strokeStyle = CHART_GRID; ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(left + 4, y(t)); ctx.lineTo(right, y(t)); ctx.stroke();
+    ctx.fillStyle = CHART_TEXT;
+    ctx.fillText(spec.format(t), left, y(t) + 4);
+  });
+  ctx.strokeStyle = CHART_TEXT;
+  ctx.beginPath(); ctx.moveTo(left + 4, top); ctx.lineTo(left + 4, bottom); ctx.lineTo(right, bottom); ctx.stroke();
+
+  const n = spec.labels.length || 1;
+  const band = (right - left - 4) / n;
+  const centre = i => left + 4 + band * (i + 0.5);
+  // thin out x labels that would overlap
+  const every = Math.max(1, Math.ceil(n / Math.max(1, Math.floor((right - left) / 48))));
+  ctx.textAlign = 'center';
+  ctx.fillStyle = CHART_TEXT;
+  spec.labels.forEach((label, i) => { if (i % every === 0) ctx.fillText(label, centre(i), h - 8); });
+
+  spec.series.forEach((se, k) => {
+    const color = se.color || '#00e5ff';
+    if (spec.type === 'bar') {
+      const barW = Math.max(2, band * 0.7 / spec.series.length);
+      se.values.forEach((v, i) => {
+        const x = centre(i) - band * 0.35 + k * barW, top = y(v);
+        const fill = spec.colors[i] && !many ? spec.colors[i] : color;
+        ctx.fillStyle = fill;
+        ctx.shadowColor = fill; ctx.shadowBlur = chart.active === chart.hits.length ? 16 : 8;
+        ctx.fillRect(x, top, barW - 2, bottom - top);
+        ctx.shadowBlur = 0;
+        chart.hits.push({ x: x + barW / 2, y: top, label: spec.labels[i], series: many ? se.name : '', value: v,
+          test: (mx, my) => mx >= x && mx <= x + barW && my >= Math.min(top, bottom - 6) && my <= bottom });
+      });
+    } else {
+      if (se.band) {
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.18;
+        ctx.beginPath();
+        se.band.high.forEach((v, i) => { if (i === 0) ctx.moveTo(centre(i), y(v)); else ctx.lineTo(centre(i), y(v)); });
+        [...se.band.low].reverse().forEach((v, i) => ctx.lineTo(centre(se.band.low.length - 1 - i), y(v)));
+        ctx.closePath(); ctx.fill();
+        ctx.globalAlpha = 1;
+      }
+      ctx.strokeStyle = color; ctx.lineWidth = 2;
+      ctx.shadowColor = color; ctx.shadowBlur = 8;
+      ctx.beginPath();
+      se.values.forEach((v, i) => { if (i === 0) ctx.moveTo(centre(i), y(v)); else ctx.lineTo(centre(i), y(v)); });
+      ctx.stroke(); ctx.shadowBlur = 0;
+      se.values.forEach((v, i) => {
+        const px = centre(i), py = y(v);
+        ctx.fillStyle = color;
+        ctx.beginPath(); ctx.arc(px, py, chart.active === chart.hits.length ? 5 : 3, 0, Math.PI * 2); ctx.fill();
+        chart.hits.push({ x: px, y: py, label: spec.labels[i], series: many ? se.name : '', value: v,
+          range: se.band && [se.band.low[i], se.band.high[i]], test: mx => Math.abs(mx - px) <= band / 2 });
+      });
+    }
+  });
+  if (many) drawLegend(ctx, spec.series.map(se => ({ label: se.name, color: se.color })), 12, 28, w);
+}
+
+function drawPie(chart, ctx, w, h){
+  const { spec } = chart;
+  const values = spec.series[0]?.values || [];
+  const total = values.reduce((a, b) => a + b, 0);
+  const legendW = Math.min(160, w * 0.4);
+  const cx = (w - legendW) / 2, cy = (h + 20) / 2, r = Math.max(10, Math.min(w - legendW, h - 20) / 2 - 16);
+  if (!total) {
+    ctx.textAlign = 'center';
+    ctx.fillText('No data', cx, cy);
+  }
+  let start = -Math.PI / 2;
+  values.forEach((v, i) => {
+    if (!total) return;
+    const from = start, to = start + (v / total) * Math.PI * 2;
+    const grow = chart.active === chart.hits.length ? 6 : 0;
     ctx.beginPath();
-    ctx.moveTo(cx,cy);
-    ctx.arc(cx,cy,r,start,start+ang);
+    ctx.moveTo(cx, cy);
+    ctx.arc(cx, cy, r + grow, from, to);
     ctx.closePath();
-    ctx.fillStyle = colors[i];
-    ctx.shadowColor = colors[i];
-    ctx.shadowBlur = 12;
+    ctx.fillStyle = spec.colors[i];
+    ctx.shadowColor = spec.colors[i]; ctx.shadowBlur = 12;
     ctx.fill();
     ctx.shadowBlur = 0;
-    start += ang;
+    const mid = (from + to) / 2;
+    chart.hits.push({ x: cx + Math.cos(mid) * r * 0.6, y: cy + Math.sin(mid) * r * 0.6, label: spec.labels[i], series: '', value: v, share: v / total,
+      test: (mx, my) => {
+        const dx = mx - cx, dy = my - cy;
+        if (dx * dx + dy * dy > r * r) return false;
+        let ang = Math.atan2(dy, dx);
+        if (ang < -Math.PI / 2) ang += Math.PI * 2;
+        return ang >= from && ang < to;
+      } });
+    start = to;
   });
+  drawLegend(ctx, spec.labels.map((label, i) => ({
+    label: `${label} ${spec.format(values[i])}${total ? ` (${Math.round(values[i] / total * 100)}%)` : ''}`, color: spec.colors[i],
+  })), w - legendW, cy - spec.labels.length * 10, w, true);
+}
+
+function drawLegend(ctx, items, x, y, w, stacked = false){
+  ctx.textAlign = 'left';
+  let px = x, py = y;
+  items.forEach(item => {
+    const width = 18 + ctx.measureText(item.label).width;
+    if (!stacked && px + width > w - 12) { px = x; py += 16; }
+    ctx.fillStyle = item.color;
+    ctx.fillRect(px, py - 9, 10, 10);
+    ctx.fillStyle = CHART_TEXT;
+    ctx.fillText(item.label, px + 14, py);
+    if (stacked) py += 20; else px += width + 12;
+  });
+}
+
+function showChartTip(chart, index){
+  if (index === chart.active) return;
+  chart.active = index;
+  drawChart(chart);
+  let tip = qs('#chartTip');
+  if (index < 0) { if (tip) tip.hidden = true; return; }
+  if (!tip) {
+    tip = document.createElement('div');
+    tip.id = 'chartTip';
+    tip.className = 'glass';
+    tip.setAttribute('role', 'status');
+    Object.assign(tip.style, { position: 'fixed', pointerEvents: 'none', padding: '4px 8px', fontSize: '12px', zIndex: 1000 });
+    document.body.appendChild(tip);
+  }
+  const hit = chart.hits[index], box = chart.canvas.getBoundingClientRect();
+  tip.textContent = `${hit.series ? `${hit.series} · ` : ''}${hit.label}: ${chart.spec.format(hit.value)}${hit.share !== undefined ? ` (${Math.round(hit.share * 100)}%)` : ''}${hit.range ? ` (${hit.range.map(chart.spec.format).join('–')})` : ''}`;
+  tip.style.left = `${box.left + hit.x + 8}px`;
+  tip.style.top = `${box.top + hit.y - 28}px`;
+  tip.hidden = false;
 }
-function basicLine(ctx, labels, values, color){
-  const w = ctx.canvas.width, h = ctx.canvas.height;
-  ctx.clearRect(0,0,w,h);
-  const max = Math.max(1, ...values);
-  const stepX = (w - 40) / (labels.length - 1 || 1);
-  ctx.strokeStyle = color; ctx.lineWidth = 2;
-  ctx.shadowColor = color; ctx.shadowBlur = 8;
-  ctx.beginPath();
-  labels.forEach((lab,i) => {
-    const x = 20 + i*stepX;
-    const y = h - 20 - (h-40) * (values[i]/max);
-    if (i===0) ctx.moveTo(x,y); else ctx.lineTo(x,y);
+
+// The same numbers as a table, hidden from sight but read by screen readers
+function chartTable(chart){
+  const { canvas, spec } = chart;
+  let table = chart.table;
+  if (!table) {
+    table = chart.table = document.createElement('table');
+    table.id = `${canvas.id}Data`;
+    table.style.cssText = SR_ONLY;
+    canvas.after(table);
+    canvas.setAttribute('aria-describedby', table.id);
+  }
+  table.innerHTML = '';
+  table.createCaption().textContent = spec.title;
+  const head = table.createTHead().insertRow();
+  ['Label', ...spec.series.flatMap(se => se.band ? [se.name, `${se.name} low`, `${se.name} high`] : [se.name])].forEach(text => {
+    const th = document.createElement('th'); th.scope = 'col'; th.textContent = text; head.appendChild(th);
   });
-  ctx.stroke(); ctx.shadowBlur = 0;
-  ctx.fillStyle = '#a3afc2';
-  labels.forEach((lab,i) => {
-    const x = 20 + i*stepX;
-    ctx.fillText(lab, x-10, h-6);
+  const body = table.createTBody();
+  spec.labels.forEach((label, i) => {
+    const row = body.insertRow();
+    const th = document.createElement('th'); th.scope = 'row'; th.textContent = label; row.appendChild(th);
+    spec.series.forEach(se => {
+      (se.band ? [se.values[i], se.band.low[i], se.band.high[i]] : [se.values[i]]).forEach(v => { row.insertCell().textContent = spec.format(v); });
+    });
   });
 }
 
+// One listener for every chart; charts whose canvas left the page are dropped
+let chartResizeQueued = false;
+window.addEventListener('resize', () => {
+  if (chartResizeQueued) return;
+  chartResizeQueued = true;
+  requestAnimationFrame(() => {
+    chartResizeQueued = false;
+    pruneCharts();
+    liveCharts.forEach(drawChart);
+  });
+});
+
 /* Boot */
-(function boot(){
-  load();
+(async function boot(){
+  await load();
   initSlots();
+  save('system', { note: 'Startup' });
+  startSync();
+  mountGlobalSearch();
+  mountAlertBell();
+  addNavLink('/exit', 'fa-solid fa-qrcode', 'Exit');
+  addNavLink('/forecast', 'fa-solid fa-chart-line', 'Forecast');
+  addNavLink('/shift', 'fa-solid fa-cash-register', 'Shift');
+  addNavLink('/audit', 'fa-solid fa-clipboard-list', 'Audit');
+  addNavLink('/reservations', 'fa-solid fa-calendar-check', 'Reservations');
+  addNavLink('/passes', 'fa-solid fa-id-card', 'Passes');
+  addNavLink('/watchlist', 'fa-solid fa-binoculars', 'Watchlist');
+  addNavLink('/layout', 'fa-solid fa-pen-ruler', 'Layout');
+  addNavLink('/data', 'fa-solid fa-database', 'Data');
+  addNavLink('/settings', 'fa-solid fa-sliders', 'Settings');
+  addNavLink('/users', 'fa-solid fa-users', 'Staff');
+  restoreSession();
+  expireReservations();
+  setInterval(expireReservations, MINUTE);
+  checkAlerts();
+  setInterval(checkAlerts, ALERT_CHECK_MS);
   // default route
   if (!location.hash) location.hash = '#/';
   navigate(currentPath());
@@ -0,0 +1,430 @@
+/* Smart Parking core
+   The parking rules without any DOM: tariff, slot allocation, entry, exit, invoice numbers
+   and statistics over a plain state object shaped like STATE in app.js ({slots, layout,
+   history, reservations, passes, invoiceSeq, config}). The clock, the slot claim and the
+   invoice number reservation are injected, so the same rules run in the browser, where a
+   claim goes through IndexedDB and the sync relay, and under plain Node:
+
+     const { createParkingCore } = require('./core.js');
+     const core = createParkingCore(state, { now: () => clock });
+     await core.parkVehicle({ number, owner, type, slotId?, by? })   → { slot, reason, booking?, pass? }
+     core.quoteFee(type, entryTime, exitTime)                       → { fee, lines }
+     core.slotForTicket(ticketId)                                   → the slot of a parked vehicle, or null
+     await core.exitVehicle(slotId, { by?, payment?, override?, lostTicket? }) → the new history row
+     core.findSlot(type, number, { slotId? })                       → { slot, reason }
+     core.stats(from, to)                                           → vehicles, revenue, by type and day
+
+   Load it before app.js in the page; in the browser it defines createParkingCore,
+   ParkingError and SLOT_TYPES as globals. `npm test` runs test/core.test.js against it. */
+(function (root) {
+  const MINUTE = 60000, HOUR = 3600000;
+  const round2 = n => Math.round(n * 100) / 100;
+  const cap = s => s ? s[0].toUpperCase() + s.slice(1) : '';
+  const uid = (prefix, at) => `${prefix}${at.toString(36)}${Math.random().toString(36).slice(2,6)}`.toUpperCase();
+
+  // Slot types beyond the three vehicle types; `accepts` lists the vehicles a slot can take
+  const SLOT_TYPES = {
+    car:        { label: 'Car',        accepts: ['car'] },
+    bike:       { label: 'Bike',       accepts: ['bike'] },
+    truck:      { label: 'Truck',      accepts: ['truck'] },
+    ev:         { label: 'EV charging', accepts: ['car'] },
+    accessible: { label: 'Accessible', accepts: ['car'] },
+    compact:    { label: 'Compact',    accepts: ['car','bike'] },
+  };
+
+  // Refusals callers are expected to show: code is one of duplicate, no-slot, unavailable, taken, not-parked, already-out,
+  // or unconfirmed when an injected claimSlot could not get an answer and changed nothing
+  class ParkingError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'ParkingError';
+      this.code = code;
+    }
+  }
+
+  // Compare-and-set on the slot's entryTime; the browser swaps in one that also goes through storage and the relay
+  const claimInMemory = (slot, expectEntry, changes) => {
+    if ((slot.entryTime ?? null) !== expectEntry) return false;
+    Object.assign(slot, changes);
+    return true;
+  };
+
+  // newId(prefix) names history rows and tickets; the default is stamped with the injected clock.
+  // reserveInvoiceNo(next) runs next() to take a number; the browser runs it inside a storage
+  // transaction so two tabs cannot take the same one.
+  function createParkingCore(state, {
+    now = () => Date.now(), claimSlot = claimInMemory, newId = prefix => uid(prefix, now()), reserveInvoiceNo = next => next(),
+  } = {}) {
+    const config = () => state.config;
+    const levelById = id => state.layout.levels.find(l => l.id === id);
+    const zoneById = (levelId, zoneId) => levelById(levelId)?.zones.find(z => z.id === zoneId);
+
+    /* Tariff
+       Base price covers the first baseMinutes, then each started hour is charged at the
+       hourly rate times the multiplier of the band it starts in. Charges are grouped per
+       calendar day so the daily cap applies to each day of a multi-day stay. Grace minutes
+       are deducted from the stay before billing. */
+    const hhmmToMinutes = v => { const [h, m] = String(v).split(':').map(Number); return h * 60 + (m || 0); };
+    const bandAt = ts => {
+      const d = new Date(ts);
+      const mins = d.getHours() * 60 + d.getMinutes();
+      const day = d.getDay();
+      return config().tariff.bands.find(b => {
+        const start = hhmmToMinutes(b.start), end = hhmmToMinutes(b.end);
+        if (start < end) return b.days.includes(day) && mins >= start && mins < end;
+        // wraps midnight: the early-morning part belongs to the previous day's band
+        if (mins >= start) return b.days.includes(day);
+        return mins < end && b.days.includes((day + 6) % 7);
+      }) || null;
+    };
+    const startOfDay = ts => { const d = new Date(ts); d.setHours(0,0,0,0); return d.getTime(); };
+
+    const quoteFee = (type, entryTime, exitTime) => {
+      const { graceMinutes, rates } = config().tariff;
+      const rate = rates[type] || rates.car;
+      const stayMs = Math.max(0, exitTime - entryTime);
+      const billableEnd = entryTime + Math.max(0, stayMs - graceMinutes * MINUTE);
+
+      const days = new Map(); // startOfDay -> { items: Map(key -> item), subtotal }
+      const dayFor = ts => {
+        const k = startOfDay(ts);
+        if (!days.has(k)) days.set(k, { items: new Map(), subtotal: 0 });
+        return days.get(k);
+      };
+      const first = dayFor(entryTime);
+      first.items.set('base', { label: `First ${rate.baseMinutes} min`, qty: 1, unit: rate.basePrice, perHour: false });
+      first.subtotal += rate.basePrice;
+
+      for (let t = entryTime + rate.baseMinutes * MINUTE; t < billableEnd; t += HOUR) {
+        const band = bandAt(t);
+        const key = band ? band.name : 'Standard';
+        const unit = Math.round(rate.hourly * (band ? band.multiplier : 1));
+        const day = dayFor(t);
+        const item = day.items.get(key) || { label: `${key} hours`, qty: 0, unit, perHour: true };
+        item.qty++;
+        day.items.set(key, item);
+        day.subtotal += unit;
+      }
+
+      const multiDay = days.size > 1;
+      const lines = [];
+      let fee = 0;
+      days.forEach((day, k) => {
+        const prefix = multiDay ? `${new Date(k).toLocaleDateString()} · ` : '';
+        day.items.forEach(item => lines.push({
+          label: `${prefix}${item.label}${item.perHour ? ` × ${item.qty} @ ₹${item.unit}` : ''}`,
+          amount: item.qty * item.unit,
+        }));
+        let dayTotal = day.subtotal;
+        if (rate.dailyCap > 0 && dayTotal > rate.dailyCap) {
+          lines.push({ label: `${prefix}Daily cap ₹${rate.dailyCap}`, amount: rate.dailyCap - dayTotal });
+          dayTotal = rate.dailyCap;
+        }
+        fee += dayTotal;
+      });
+      if (graceMinutes > 0 && stayMs > 0) lines.push({ label: `Exit grace ${graceMinutes} min`, amount: 0 });
+      return { fee, lines };
+    };
+
+    /* Reservations and passes
+       A booking holds its slot from holdBeforeMinutes before the window opens until
+       graceMinutes after it closes. A valid pass may dedicate a slot, which is then kept
+       out of general allocation. */
+    const reservationHolds = (r, at) => {
+      const { holdBeforeMinutes, graceMinutes } = config().reservations;
+      return r.status === 'active' && at >= r.from - holdBeforeMinutes * MINUTE && at < r.to + graceMinutes * MINUTE;
+    };
+    const isReserved = (slotId, at = now()) => state.reservations.some(r => r.slotId === slotId && reservationHolds(r, at));
+    const activeReservationFor = (number, at = now()) =>
+      state.reservations.find(r => r.vehicleNumber === number && reservationHolds(r, at));
+    const passValid = (p, at) => p.status === 'active' && at >= p.validFrom && at <= p.validTo;
+    const passFor = (number, at = now()) => state.passes.find(p => p.vehicleNumber === number && passValid(p, at)) || null;
+    const isDedicated = (slotId, at = now()) => state.passes.some(p => p.slotId === slotId && passValid(p, at));
+
+    /* Slot allocation
+       A strategy ranks the free slots that fit the vehicle and says why it picked one.
+       Type fit is decided first: same slot type, then slots that accept the vehicle,
+       then (unless strictType is on) any free slot. */
+    const isFree = s => !s.occupied && !s.maintenance && !isReserved(s.id) && !isDedicated(s.id);
+    const freeSlots = () => state.slots.filter(isFree);
+    const zoneKey = s => `${s.level}/${s.zone}`;
+    const zoneLabel = s => `${levelById(s.level)?.name || s.level} · ${zoneById(s.level, s.zone)?.name || s.zone}`;
+
+    // Walking distance in arbitrary units: levels dominate, then zones, rows, bays
+    const distanceFromEntrance = slot => {
+      const { entrance } = config().allocation;
+      const levels = state.layout.levels;
+      const levelIdx = id => levels.findIndex(l => l.id === id);
+      const zoneIdx = (levelId, zoneId) => levelById(levelId)?.zones.findIndex(z => z.id === zoneId) ?? 0;
+      const bay = state.slots.filter(s => s.level === slot.level && s.zone === slot.zone && s.row === slot.row)
+        .sort((a,b) => a.id - b.id).indexOf(slot);
+      const levelsAway = Math.abs(levelIdx(slot.level) - levelIdx(entrance.level));
+      const zonesAway = levelsAway ? zoneIdx(slot.level, slot.zone) : Math.abs(zoneIdx(slot.level, slot.zone) - zoneIdx(entrance.level, entrance.zone));
+      const rowsAway = Math.abs(parseInt(slot.row.slice(1)) - entrance.row);
+      return { units: levelsAway * 1000 + zonesAway * 100 + rowsAway * 10 + bay, levelsAway, zonesAway, rowsAway, bay };
+    };
+
+    const ALLOCATION_STRATEGIES = {
+      'lowest-id': {
+        label: 'Lowest slot number',
+        description: 'Fills the lot in slot-number order.',
+        pick: pool => {
+          const slot = [...pool].sort((a,b) => a.id - b.id)[0];
+          return { slot, reason: `Slot ${slot.id} is the lowest-numbered free slot` };
+        },
+      },
+      'distance': {
+        label: 'Closest to entrance',
+        description: 'Picks the free slot with the shortest walk from the configured entrance or lift.',
+        pick: pool => {
+          const ranked = pool.map(s => ({ s, d: distanceFromEntrance(s) })).sort((a,b) => (a.d.units - b.d.units) || (a.s.id - b.s.id));
+          const { s, d } = ranked[0];
+          const parts = [
+            d.levelsAway && `${d.levelsAway} level${d.levelsAway > 1 ? 's' : ''}`,
+            d.zonesAway && `${d.zonesAway} zone${d.zonesAway > 1 ? 's' : ''}`,
+            d.rowsAway && `${d.rowsAway} row${d.rowsAway > 1 ? 's' : ''}`,
+            `bay ${d.bay + 1}`,
+          ].filter(Boolean);
+          return { slot: s, reason: `Slot ${s.id} is the closest free slot to the entrance (${parts.join(', ')})` };
+        },
+      },
+      'balance': {
+        label: 'Balance zones',
+        description: 'Spreads vehicles across zones by picking the least occupied zone.',
+        pick: pool => {
+          const usage = {};
+          state.slots.filter(s => !s.maintenance).forEach(s => {
+            const u = usage[zoneKey(s)] = usage[zoneKey(s)] || { used: 0, total: 0 };
+            u.total++;
+            if (s.occupied) u.used++;
+          });
+          const ratio = s => usage[zoneKey(s)].used / usage[zoneKey(s)].total;
+          const slot = [...pool].sort((a,b) => (ratio(a) - ratio(b)) || (a.id - b.id))[0];
+          const u = usage[zoneKey(slot)];
+          return { slot, reason: `${zoneLabel(slot)} is the least used zone (${u.used}/${u.total} occupied)` };
+        },
+      },
+      'repeat': {
+        label: 'Repeat visitors keep their slot',
+        description: 'Gives returning vehicles their previous slot when it is free, otherwise the closest to the entrance.',
+        pick: (pool, { vehicleNumber }) => {
+          const last = state.history.find(h => h.vehicleNumber === vehicleNumber && !h.noShow);
+          const slot = last && pool.find(s => s.id === last.slotId);
+          if (slot) return { slot, reason: `Slot ${slot.id} is where ${vehicleNumber} parked last time` };
+          const fallback = ALLOCATION_STRATEGIES.distance.pick(pool);
+          const note = last ? `Previous slot ${last.slotId} is not available` : 'First visit';
+          return { slot: fallback.slot, reason: `${note}; ${fallback.reason.charAt(0).toLowerCase()}${fallback.reason.slice(1)}` };
+        },
+      },
+    };
+
+    const allocateSlot = (type, vehicleNumber) => {
+      const { strategy, strictType } = config().allocation;
+      const free = freeSlots();
+      const sameType = free.filter(s => s.type === type);
+      const compatible = free.filter(s => SLOT_TYPES[s.type]?.accepts.includes(type));
+      let pool, fit = '';
+      if (sameType.length) pool = sameType;
+      else if (compatible.length) { pool = compatible; fit = ` No ${cap(type)} slot was free, so a compatible slot was used.`; }
+      else if (strictType) return { slot: null, reason: `No free slot accepts a ${type} and strict type matching is on` };
+      else { pool = free; fit = ` No slot for a ${type} was free, so it was placed in a different slot type.`; }
+      if (!pool.length) return { slot: null, reason: 'No empty slot available' };
+      const picked = (ALLOCATION_STRATEGIES[strategy] || ALLOCATION_STRATEGIES['lowest-id']).pick(pool, { type, vehicleNumber });
+      return { slot: picked.slot, reason: `${picked.reason}.${fit}` };
+    };
+
+    // Staff choice first, then the vehicle's booking, its pass slot, then the allocation strategy.
+    // A staff choice must be free like any allocated slot, or be the vehicle's own booked or pass slot.
+    const findSlot = (type, vehicleNumber, { slotId = null } = {}) => {
+      const booking = activeReservationFor(vehicleNumber);
+      const pass = passFor(vehicleNumber);
+      const reservedSlot = booking && state.slots.find(x => x.id === booking.slotId && !x.occupied && !x.maintenance);
+      const passSlot = pass?.slotId && state.slots.find(x => x.id === pass.slotId && !x.occupied && !x.maintenance);
+      if (slotId) {
+        const slot = state.slots.find(x => x.id === slotId);
+        if (!slot) throw new ParkingError('unavailable', `Slot ${slotId} does not exist`);
+        if (!isFree(slot) && slot !== reservedSlot && slot !== passSlot) {
+          throw new ParkingError('unavailable', slot.occupied ? `Slot ${slotId} is occupied by ${slot.vehicle.number}`
+            : slot.maintenance ? `Slot ${slotId} is under maintenance`
+            : isReserved(slot.id) ? `Slot ${slotId} is held for another reservation`
+            : `Slot ${slotId} is dedicated to another pass holder`);
+        }
+        const misfit = !SLOT_TYPES[slot.type]?.accepts.includes(type);
+        return { slot, booking, pass, reason: `Chosen by staff.${misfit ? ` Note: this ${SLOT_TYPES[slot.type]?.label || cap(slot.type)} slot does not normally take a ${type}.` : ''}` };
+      }
+      if (reservedSlot) return { slot: reservedSlot, booking, pass, reservedSlot, reason: `Held for reservation ${booking.id}.` };
+      if (passSlot) return { slot: passSlot, booking, pass, reason: `Dedicated slot of pass ${pass.id}.` };
+      return { ...allocateSlot(type, vehicleNumber), booking, pass };
+    };
+
+    /* Invoices
+       Numbers come from state.invoiceSeq and are never handed out twice, including for
+       voided invoices. A terminal's series code, when set, goes into every number so
+       terminals sharing a sync relay keep separate sequences. */
+    const taxBreakdown = amount => {
+      const { taxes, pricesIncludeTax } = config().invoice;
+      const rate = taxes.reduce((sum,t) => sum + t.rate, 0) / 100;
+      const taxable = pricesIncludeTax ? round2(amount / (1 + rate)) : amount;
+      const lines = taxes.map(t => ({ name: t.name, rate: t.rate, amount: round2(taxable * t.rate / 100) }));
+      const total = pricesIncludeTax ? amount : round2(taxable + lines.reduce((sum,l) => sum + l.amount, 0));
+      // keep taxable + taxes equal to the total after rounding
+      const drift = round2(total - taxable - lines.reduce((sum,l) => sum + l.amount, 0));
+      if (lines.length && drift) lines[lines.length - 1].amount = round2(lines[lines.length - 1].amount + drift);
+      return { taxable, taxes: lines, total };
+    };
+
+    const nextInvoiceNo = (at = now()) => {
+      const { prefix, series, yearlyReset } = config().invoice;
+      const seq = state.invoiceSeq;
+      const year = new Date(at).getFullYear();
+      if (year !== seq.year) {
+        seq.year = year;
+        if (yearlyReset) seq.next = 1;
+      }
+      const head = series ? `${prefix}/${series}` : prefix;
+      const format = n => yearlyReset ? `${head}/${year}/${String(n).padStart(5,'0')}` : `${head}/${String(n).padStart(6,'0')}`;
+      let no = format(seq.next++);
+      while (state.history.some(h => h.invoice?.no === no)) no = format(seq.next++); // after config changes
+      return no;
+    };
+
+    const issueInvoice = async (feeLines, at, by = null) => {
+      const bill = taxBreakdown(feeLines.reduce((sum,l) => sum + l.amount, 0));
+      return {
+        no: await reserveInvoiceNo(() => nextInvoiceNo(at)),
+        issuedAt: at,
+        ...bill,
+        status: 'issued',
+        audit: [{ at, action: 'issued', by }],
+      };
+    };
+
+    /* Entry and exit
+       Both go through claimSlot, a compare-and-set on the slot's entryTime, so two
+       terminals can never fill or empty the same slot. */
+    const parkedSlotOf = number => state.slots.find(s => s.occupied && s.vehicle.number === number) || null;
+    const slotForTicket = ticketId => state.slots.find(s => s.occupied && s.ticket === ticketId) || null;
+
+    const parkVehicle = async ({ number, owner, type, slotId = null, by = null }) => {
+      const parked = parkedSlotOf(number);
+      if (parked) throw new ParkingError('duplicate', `${number} is already parked in slot ${parked.id}`);
+      // Another terminal may fill the chosen slot first; choose again from its refreshed state
+      for (let attempt = 1; ; attempt++) {
+        const choice = findSlot(type, number, { slotId });
+        if (!choice.slot) throw new ParkingError('no-slot', choice.reason || 'No empty slot available');
+        const vehicle = { number, owner, type };
+        if (await claimSlot(choice.slot, null, { occupied: true, vehicle, entryTime: now(), parkedBy: by, ticket: newId('T') })) {
+          if (choice.booking) {
+            choice.booking.status = 'fulfilled';
+            choice.booking.fulfilledAt = now();
+          }
+          return choice;
+        }
+        if (slotId || attempt === 3) throw new ParkingError('taken', `Slot ${choice.slot.id} was just taken at another terminal`);
+      }
+    };
+
+    // What leaving now would cost: tariff lines, pass discount, lost-ticket penalty and tax.
+    // Vehicles parked before gate tickets were issued have no ticket to lose.
+    const quoteExit = (slotId, at = now(), { lostTicket = false } = {}) => {
+      const slot = state.slots.find(x => x.id === slotId);
+      if (!slot?.occupied) throw new ParkingError('not-parked', `Slot ${slotId} has no vehicle`);
+      const quote = quoteFee(slot.vehicle.type, slot.entryTime, at);
+      const lines = quote.lines;
+      let fee = quote.fee;
+      const pass = passFor(slot.vehicle.number, at);
+      if (pass) {
+        const discount = Math.round(fee * pass.discountPct / 100);
+        lines.push({ label: `Pass ${pass.id} (${pass.discountPct}% off)`, amount: -discount });
+        fee -= discount;
+      }
+      const penalty = lostTicket && slot.ticket ? config().tickets.lostFee : 0;
+      if (penalty > 0) {
+        lines.push({ label: `Lost ticket ${slot.ticket}`, amount: penalty });
+        fee += penalty;
+      }
+      const bill = taxBreakdown(fee);
+      return { slot, at, durationMs: at - slot.entryTime, lines, pass, lostTicket: penalty > 0, tariffFee: fee, bill, fee: bill.total };
+    };
+
+    // Check out and record the visit; override {amount, reason} replaces the fee before tax
+    const exitVehicle = async (slotId, { at = now(), by = null, payment = null, override = null, lostTicket = false } = {}) => {
+      const exit = quoteExit(slotId, at, { lostTicket });
+      const { slot, lines } = exit;
+      let fee = exit.fee;
+      if (override) {
+        lines.push({ label: `Override by ${by?.name || 'staff'}: ${override.reason}`, amount: override.amount - exit.tariffFee });
+        fee = taxBreakdown(override.amount).total;
+      }
+      const row = {
+        id: newId('H'),
+        vehicleNumber: slot.vehicle.number,
+        owner: slot.vehicle.owner,
+        type: slot.vehicle.type,
+        slotId: slot.id,
+        ticketId: slot.ticket || null,
+        lostTicket: exit.lostTicket,
+        entryTime: slot.entryTime,
+        exitTime: at,
+        durationMs: exit.durationMs,
+        fee,
+        feeLines: lines,
+        passId: exit.pass?.id || null,
+        entryBy: slot.parkedBy || null,
+        exitBy: by,
+        payment: fee > 0 ? payment : null,
+      };
+      const freed = await claimSlot(slot, slot.entryTime, { occupied: false, vehicle: null, entryTime: null, parkedBy: null, ticket: null });
+      if (!freed) throw new ParkingError('already-out', `${row.vehicleNumber} was already checked out at another terminal`);
+      if (fee > 0) row.invoice = await issueInvoice(lines, at, by); // fully covered pass visits need no invoice
+      state.history.unshift(row);
+      return row;
+    };
+
+    /* Statistics over visits that left between from and to
+       A voided invoice keeps its visit's fee for the record, but the money is not counted. */
+    const isVoided = h => h.invoice?.status === 'void';
+    const feeTotal = rows => rows.reduce((sum,h) => isVoided(h) ? sum : sum + h.fee, 0);
+    const typeCounts = visits => {
+      const counts = { car:0, bike:0, truck:0 };
+      visits.forEach(h => counts[h.type]++);
+      return counts;
+    };
+    const revenueByDay = (from, to) => {
+      const map = [];
+      for (const d = new Date(from); d.getTime() <= to; d.setDate(d.getDate()+1)) {
+        const start = d.getTime();
+        const end = new Date(start).setHours(23,59,59,999);
+        const revenue = feeTotal(state.history.filter(h => h.exitTime >= start && h.exitTime <= end));
+        map.push({ label: `${d.getMonth()+1}/${d.getDate()}`, value: revenue });
+      }
+      return map;
+    };
+    const stats = (from = startOfDay(now()), to = now()) => {
+      const rows = state.history.filter(h => h.exitTime >= from && h.exitTime <= to);
+      const visits = rows.filter(h => !h.noShow);
+      const inUse = state.slots.filter(s => !s.maintenance);
+      return {
+        vehicles: visits.length,
+        noShows: rows.length - visits.length,
+        revenue: round2(feeTotal(rows)),
+        avgStay: visits.length ? Math.floor(visits.reduce((sum,h) => sum + h.durationMs, 0) / visits.length) : 0,
+        byType: typeCounts(visits),
+        byDay: revenueByDay(from, to),
+        parked: inUse.filter(s => s.occupied).length,
+        free: freeSlots().length,
+        capacity: inUse.length,
+      };
+    };
+
+    return {
+      quoteFee, bandAt, reservationHolds, isReserved, activeReservationFor, passValid, passFor, isDedicated,
+      ALLOCATION_STRATEGIES, freeSlots, allocateSlot, findSlot, taxBreakdown, issueInvoice,
+      parkedSlotOf, slotForTicket, parkVehicle, quoteExit, exitVehicle, isVoided, feeTotal, typeCounts, revenueByDay, stats,
+    };
+  }
+
+  const api = { createParkingCore, ParkingError, SLOT_TYPES };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else Object.assign(root, api);
+})(typeof globalThis === 'object' ? globalThis : this);
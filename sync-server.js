@@ -0,0 +1,110 @@
+/* Smart Parking sync relay
+   Stand-in server that lets several gate terminals share one view of the lot.
+   Run with `node sync-server.js [port]` (default 8787) and set ws://<this-machine>:<port>
+   under Settings → Live sync on every terminal. No dependencies: speaks just enough of
+   the WebSocket protocol (RFC 6455, unfragmented text frames) for the app.
+
+   Messages (JSON):
+     hello    {slots}                          terminal connected; unknown slots are adopted
+     snapshot {slots}                          relay → terminal, the relay's copy of every slot
+     changes  {changes: {put, remove}}         committed slot and history writes, relayed to every
+                                               other terminal; any other store is dropped
+     claim    {ref, slotId, expect, slot}      park/check out only if slot.entryTime === expect
+     claim-result {ref, ok, slot}              answer to a claim; slot is the winning copy */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8787;
+const slots = new Map(); // slot id → latest slot record
+const clients = new Set();
+// Stores terminals may share. Config holds staff accounts and PIN hashes and never passes.
+const RELAY_STORES = ['slots', 'history'];
+
+const frame = text => {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([0x81, len])
+    : len < 65536 ? Buffer.from([0x81, 126, len >> 8, len & 255])
+    : Buffer.concat([Buffer.from([0x81, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+  return Buffer.concat([head, payload]);
+};
+const send = (socket, msg) => socket.write(frame(JSON.stringify(msg)));
+const broadcast = (from, msg) => clients.forEach(c => { if (c !== from) send(c, msg); });
+const pick = (byStore = {}) => Object.fromEntries(RELAY_STORES.filter(name => Array.isArray(byStore[name])).map(name => [name, byStore[name]]));
+
+// Pull complete client frames out of the buffer; returns [messages, rest]
+const readFrames = buf => {
+  const messages = [];
+  while (buf.length >= 2) {
+    const opcode = buf[0] & 0x0f;
+    let len = buf[1] & 0x7f, offset = 2;
+    if (len === 126) { if (buf.length < 4) break; len = buf.readUInt16BE(2); offset = 4; }
+    else if (len === 127) { if (buf.length < 10) break; len = Number(buf.readBigUInt64BE(2)); offset = 10; }
+    const masked = buf[1] & 0x80;
+    const end = offset + (masked ? 4 : 0) + len;
+    if (buf.length < end) break;
+    const mask = masked ? buf.subarray(offset, offset + 4) : null;
+    const data = Buffer.from(buf.subarray(end - len, end));
+    if (mask) for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+    messages.push({ opcode, data });
+    buf = buf.subarray(end);
+  }
+  return [messages, buf];
+};
+
+const handle = (socket, msg) => {
+  if (msg.type === 'hello') {
+    (msg.slots || []).forEach(s => { if (!slots.has(s.id)) slots.set(s.id, s); });
+    send(socket, { type: 'snapshot', slots: [...slots.values()] });
+  } else if (msg.type === 'changes') {
+    const changes = { put: pick(msg.changes?.put), remove: pick(msg.changes?.remove) };
+    if (!Object.keys(changes.put).length && !Object.keys(changes.remove).length) return;
+    (changes.put.slots || []).forEach(s => slots.set(s.id, s));
+    (changes.remove.slots || []).forEach(id => slots.delete(id));
+    broadcast(socket, { type: 'changes', changes });
+  } else if (msg.type === 'claim') {
+    const current = slots.get(msg.slotId);
+    if (current && (current.entryTime ?? null) !== msg.expect) {
+      send(socket, { type: 'claim-result', ref: msg.ref, ok: false, slot: current });
+      return;
+    }
+    slots.set(msg.slotId, msg.slot);
+    send(socket, { type: 'claim-result', ref: msg.ref, ok: true, slot: msg.slot });
+    broadcast(socket, { type: 'changes', changes: { put: { slots: [msg.slot] }, remove: {} } });
+  }
+};
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Smart Parking sync relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) { socket.destroy(); return; }
+  const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', '',
+  ].join('\r\n'));
+  clients.add(socket);
+  let pending = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    const [messages, rest] = readFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    messages.forEach(({ opcode, data }) => {
+      if (opcode === 0x8) { socket.end(Buffer.from([0x88, 0])); return; }
+      if (opcode === 0x9) { socket.write(Buffer.concat([Buffer.from([0x8a, data.length]), data])); return; }
+      if (opcode !== 0x1) return;
+      try {
+        handle(socket, JSON.parse(data.toString()));
+      } catch (err) {
+        console.error('Bad message:', err.message);
+      }
+    });
+  });
+  const drop = () => clients.delete(socket);
+  socket.on('close', drop);
+  socket.on('error', drop);
+});
+
+server.listen(PORT, () => console.log(`Sync relay listening on ws://localhost:${PORT}`));
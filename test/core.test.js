@@ -0,0 +1,249 @@
+// Parking rules in core.js, run with `npm test` (node --test)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createParkingCore, ParkingError } = require('../core.js');
+
+const MINUTE = 60000, HOUR = 3600000;
+const T0 = new Date(2026, 0, 5, 9, 0).getTime(); // a Monday morning, local time
+
+const slot = (id, type = 'car', level = 'L1', zone = 'A', row = 'R1') =>
+  ({ id, type, level, zone, row, maintenance: false, occupied: false, vehicle: null, entryTime: null, parkedBy: null });
+
+const makeState = (slots = [slot(1), slot(2), slot(3), slot(4, 'bike')]) => {
+  const rate = () => ({ baseMinutes: 30, basePrice: 20, hourly: 50, dailyCap: 0 });
+  return {
+    slots,
+    layout: { levels: [
+      { id: 'L1', name: 'Level 1', zones: [{ id: 'A', name: 'Zone A' }, { id: 'B', name: 'Zone B' }] },
+      { id: 'L2', name: 'Level 2', zones: [{ id: 'A', name: 'Zone A' }] },
+    ] },
+    history: [], reservations: [], passes: [], invoiceSeq: { year: 2026, next: 1 },
+    config: {
+      tariff: { graceMinutes: 0, rates: { car: rate(), bike: rate(), truck: rate() }, bands: [] },
+      allocation: { strategy: 'lowest-id', strictType: false, entrance: { level: 'L1', zone: 'A', row: 1 } },
+      reservations: { holdBeforeMinutes: 30, graceMinutes: 15, noShowFee: 50 },
+      tickets: { lostFee: 200 },
+      invoice: { prefix: 'INV', yearlyReset: true, pricesIncludeTax: true, taxes: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }] },
+    },
+  };
+};
+
+// A core on a fixed clock with sequential ids
+const setup = (state = makeState()) => {
+  const clock = { at: T0 };
+  let seq = 0;
+  const core = createParkingCore(state, { now: () => clock.at, newId: prefix => `${prefix}${++seq}` });
+  return { state, clock, core };
+};
+
+test('tariff: base price covers the first baseMinutes', () => {
+  const { core } = setup();
+  assert.equal(core.quoteFee('car', T0, T0).fee, 20);
+  assert.equal(core.quoteFee('car', T0, T0 + 30 * MINUTE).fee, 20);
+  assert.equal(core.quoteFee('car', T0, T0 + 30 * MINUTE + 1).fee, 70);
+});
+
+test('tariff: each started hour after the base is charged on the hour boundary', () => {
+  const { core } = setup();
+  assert.equal(core.quoteFee('car', T0, T0 + 90 * MINUTE).fee, 70);
+  assert.equal(core.quoteFee('car', T0, T0 + 90 * MINUTE + 1).fee, 120);
+  assert.equal(core.quoteFee('car', T0, T0 + 150 * MINUTE).fee, 120);
+  assert.equal(core.quoteFee('car', T0, T0 + 150 * MINUTE + 1).fee, 170);
+});
+
+test('tariff: grace minutes are deducted before billing', () => {
+  const { state, core } = setup();
+  state.config.tariff.graceMinutes = 10;
+  assert.equal(core.quoteFee('car', T0, T0 + 40 * MINUTE).fee, 20);
+  assert.equal(core.quoteFee('car', T0, T0 + 40 * MINUTE + 1).fee, 70);
+  const { lines } = core.quoteFee('car', T0, T0 + 40 * MINUTE);
+  assert.deepEqual(lines.at(-1), { label: 'Exit grace 10 min', amount: 0 });
+});
+
+test('tariff: the daily cap applies to each calendar day', () => {
+  const { state, core } = setup();
+  state.config.tariff.rates.car.dailyCap = 100;
+  assert.equal(core.quoteFee('car', T0, T0 + 90 * MINUTE).fee, 70); // under the cap
+  const day = core.quoteFee('car', T0, T0 + 5 * HOUR);
+  assert.equal(day.fee, 100);
+  assert.equal(day.lines.reduce((sum, l) => sum + l.amount, 0), 100);
+  // 09:00 to 09:00 the next day: capped once for each day
+  assert.equal(core.quoteFee('car', T0, T0 + 24 * HOUR).fee, 200);
+});
+
+test('tariff: time bands multiply the hourly rate', () => {
+  const { state, core } = setup();
+  state.config.tariff.bands = [{ name: 'Peak', days: [1], start: '09:00', end: '12:00', multiplier: 2 }];
+  const quote = core.quoteFee('car', T0, T0 + 150 * MINUTE);
+  assert.equal(quote.fee, 20 + 2 * 100);
+  assert.ok(quote.lines.some(l => l.label === 'Peak hours × 2 @ ₹100'));
+});
+
+test('allocation: lowest-id picks the lowest free slot of the vehicle type', async () => {
+  const { core } = setup();
+  assert.equal((await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' })).slot.id, 1);
+  assert.equal((await core.parkVehicle({ number: 'B1', owner: 'Ravi', type: 'bike' })).slot.id, 4);
+  const spill = await core.parkVehicle({ number: 'B2', owner: 'Ravi', type: 'bike' });
+  assert.equal(spill.slot.id, 2);
+  assert.match(spill.reason, /different slot type/);
+});
+
+test('allocation: strict type matching refuses slots of another type', async () => {
+  const { state, core } = setup();
+  state.config.allocation.strictType = true;
+  await core.parkVehicle({ number: 'B1', owner: 'Ravi', type: 'bike' });
+  await assert.rejects(core.parkVehicle({ number: 'B2', owner: 'Ravi', type: 'bike' }), e => e instanceof ParkingError && e.code === 'no-slot');
+});
+
+test('allocation: distance prefers the entrance level, zone and row', () => {
+  const { state, core } = setup(makeState([slot(1, 'car', 'L2'), slot(2, 'car', 'L1', 'B'), slot(3, 'car', 'L1', 'A', 'R3'), slot(4, 'car', 'L1', 'A', 'R2')]));
+  state.config.allocation.strategy = 'distance';
+  const { slot: picked, reason } = core.allocateSlot('car', 'A1');
+  assert.equal(picked.id, 4);
+  assert.match(reason, /closest free slot to the entrance \(1 row, bay 1\)/);
+});
+
+test('allocation: balance fills the least used zone', () => {
+  const { state, core } = setup(makeState([slot(1, 'car', 'L1', 'A'), slot(2, 'car', 'L1', 'A'), slot(3, 'car', 'L1', 'B'), slot(4, 'car', 'L1', 'B')]));
+  state.config.allocation.strategy = 'balance';
+  Object.assign(state.slots[0], { occupied: true, vehicle: { number: 'X', owner: 'X', type: 'car' }, entryTime: T0 });
+  assert.equal(core.allocateSlot('car', 'A1').slot.id, 3);
+});
+
+test('allocation: repeat visitors get their previous slot back', () => {
+  const { state, core } = setup();
+  state.config.allocation.strategy = 'repeat';
+  state.history.push({ vehicleNumber: 'A1', slotId: 3 });
+  assert.equal(core.allocateSlot('car', 'A1').slot.id, 3);
+  assert.equal(core.allocateSlot('car', 'NEW').slot.id, 1);
+});
+
+test('allocation: reserved and dedicated slots are kept for their holders', async () => {
+  const { state, core } = setup();
+  state.reservations.push({ id: 'R1', vehicleNumber: 'RES', slotId: 1, from: T0, to: T0 + HOUR, status: 'active' });
+  state.passes.push({ id: 'P1', vehicleNumber: 'PASS', slotId: 2, validFrom: T0 - HOUR, validTo: T0 + 24 * HOUR, discountPct: 100, status: 'active' });
+  assert.equal((await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' })).slot.id, 3);
+  const booked = await core.parkVehicle({ number: 'RES', owner: 'Meera', type: 'car' });
+  assert.equal(booked.slot.id, 1);
+  assert.equal(state.reservations[0].status, 'fulfilled');
+  assert.equal((await core.parkVehicle({ number: 'PASS', owner: 'Dev', type: 'car' })).slot.id, 2);
+});
+
+test('entry: a vehicle cannot be parked twice', async () => {
+  const { core } = setup();
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  await assert.rejects(core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' }), e => e.code === 'duplicate');
+});
+
+test('exit: records exactly one history row and frees the slot', async () => {
+  const { state, clock, core } = setup();
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car', by: { id: 'U1', name: 'Asha' } });
+  assert.equal(state.slots[0].ticket, 'T1');
+  clock.at = T0 + 2 * HOUR;
+  const row = await core.exitVehicle(1, { by: { id: 'U2', name: 'Ravi' }, payment: { method: 'cash' } });
+  assert.equal(state.history.length, 1);
+  assert.equal(state.history[0], row);
+  assert.equal(row.id, 'H2');
+  assert.equal(row.ticketId, 'T1');
+  assert.equal(row.fee, 120);
+  assert.equal(row.durationMs, 2 * HOUR);
+  assert.equal(row.feeLines.reduce((sum, l) => sum + l.amount, 0), row.fee);
+  assert.equal(row.invoice.no, 'INV/2026/00001');
+  assert.equal(row.invoice.taxable + row.invoice.taxes.reduce((sum, t) => sum + t.amount, 0), row.fee);
+  assert.deepEqual(row.entryBy, { id: 'U1', name: 'Asha' });
+  assert.equal(state.slots[0].occupied, false);
+  assert.equal(state.slots[0].ticket, null);
+  await assert.rejects(core.exitVehicle(1), e => e.code === 'not-parked');
+  assert.equal(state.history.length, 1);
+});
+
+test('exit: a lost claim records no history and issues no invoice number', async () => {
+  const { state, core } = setup();
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  const other = createParkingCore(state, { now: () => T0 + HOUR, claimSlot: () => false });
+  await assert.rejects(other.exitVehicle(1), e => e.code === 'already-out');
+  assert.equal(state.history.length, 0);
+  assert.equal(state.invoiceSeq.next, 1);
+});
+
+test('invoices: a terminal series goes into the number, which is taken through reserveInvoiceNo', async () => {
+  const state = makeState();
+  state.config.invoice.series = 'G2';
+  const reserved = [];
+  const core = createParkingCore(state, { now: () => T0, reserveInvoiceNo: next => { const no = next(); reserved.push(no); return Promise.resolve(no); } });
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  const row = await core.exitVehicle(1, { at: T0 + HOUR });
+  assert.equal(row.invoice.no, 'INV/G2/2026/00001');
+  assert.deepEqual(reserved, ['INV/G2/2026/00001']);
+  assert.equal(state.invoiceSeq.next, 2);
+});
+
+test('exit: fee override, lost ticket and fully covered visits', async () => {
+  const { state, clock, core } = setup();
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  await core.parkVehicle({ number: 'A2', owner: 'Ravi', type: 'car' });
+  clock.at = T0 + 10 * MINUTE;
+  const lost = await core.exitVehicle(2, { lostTicket: true });
+  assert.equal(lost.fee, 220);
+  assert.equal(lost.lostTicket, true);
+  const free = await core.exitVehicle(1, { override: { amount: 0, reason: 'gate fault' }, payment: { method: 'cash' } });
+  assert.equal(free.fee, 0);
+  assert.equal(free.invoice, undefined);
+  assert.equal(free.payment, null);
+  assert.equal(state.history.length, 2);
+});
+
+test('ids: the default newId is stamped with the injected clock', async () => {
+  const state = makeState();
+  const core = createParkingCore(state, { now: () => T0 });
+  const { slot: parked } = await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  assert.ok(parked.ticket.startsWith(`T${T0.toString(36)}`.toUpperCase()));
+});
+
+test('stats: counts visits, revenue and types over a range', async () => {
+  const { clock, core } = setup();
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  await core.parkVehicle({ number: 'B1', owner: 'Ravi', type: 'bike' });
+  clock.at = T0 + 2 * HOUR;
+  await core.exitVehicle(1);
+  await core.exitVehicle(4);
+  const stats = core.stats(T0, clock.at);
+  assert.equal(stats.vehicles, 2);
+  assert.equal(stats.revenue, 240);
+  assert.deepEqual(stats.byType, { car: 1, bike: 1, truck: 0 });
+  assert.equal(stats.parked, 0);
+});
+
+test('stats: a voided invoice keeps its visit and fee but adds no revenue', async () => {
+  const { state, clock, core } = setup();
+  await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car' });
+  await core.parkVehicle({ number: 'A2', owner: 'Ravi', type: 'car' });
+  clock.at = T0 + 2 * HOUR;
+  const voided = await core.exitVehicle(1);
+  await core.exitVehicle(2);
+  voided.invoice.status = 'void';
+  const stats = core.stats(T0, clock.at);
+  assert.equal(stats.vehicles, 2);
+  assert.equal(stats.revenue, 120);
+  assert.equal(stats.byDay[0].value, 120);
+  assert.equal(voided.fee, 120);
+  assert.equal(core.feeTotal(state.history), 120);
+});
+
+test('entry: a staff-chosen slot must be free or the vehicle\'s own', async () => {
+  const { state, core } = setup();
+  state.slots[2].maintenance = true;
+  state.reservations.push({ id: 'R1', vehicleNumber: 'RES', slotId: 1, from: T0, to: T0 + HOUR, status: 'active' });
+  state.passes.push({ id: 'P1', vehicleNumber: 'PASS', slotId: 2, validFrom: T0 - HOUR, validTo: T0 + 24 * HOUR, discountPct: 100, status: 'active' });
+  const refused = (slotId, message) => assert.rejects(core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car', slotId }),
+    e => e instanceof ParkingError && e.code === 'unavailable' && message.test(e.message));
+  await refused(1, /held for another reservation/);
+  await refused(2, /dedicated to another pass holder/);
+  await refused(3, /under maintenance/);
+  await refused(9, /does not exist/);
+  assert.equal((await core.parkVehicle({ number: 'RES', owner: 'Meera', type: 'car', slotId: 1 })).slot.id, 1);
+  assert.equal((await core.parkVehicle({ number: 'PASS', owner: 'Dev', type: 'car', slotId: 2 })).slot.id, 2);
+  await refused(1, /occupied by RES/);
+  assert.equal((await core.parkVehicle({ number: 'A1', owner: 'Asha', type: 'car', slotId: 4 })).reason,
+    'Chosen by staff. Note: this Bike slot does not normally take a car.');
+});
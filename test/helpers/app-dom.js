@@ -0,0 +1,67 @@
+// Boots core.js and app.js in jsdom with an in-memory IndexedDB, signed in as an admin
+// with an open shift. Returns the window and the app's globals by name.
+const fs = require('node:fs');
+const path = require('node:path');
+const { webcrypto } = require('node:crypto');
+const { JSDOM } = require('jsdom');
+require('fake-indexeddb/auto');
+
+// The elements app.js looks up outside #view
+const SHELL = `<!doctype html><html><body>
+  <div id="loader"></div>
+  <header><h2 class="page-title"></h2><button id="themeToggle"></button><button id="resetDataBtn"></button></header>
+  <nav><a class="nav-link" href="#/" data-route="/">Home</a></nav>
+  <main id="view"></main>
+  <div id="toasts"></div>
+  <div id="modal" class="hidden">
+    <h3 id="modalTitle"></h3><button id="modalClose"></button>
+    <div id="modalBody"></div><div id="modalFooter"></div>
+    <button id="modalCancel"></button><button id="modalConfirm"></button>
+  </div>
+  <div id="invoice" class="hidden">
+    <button id="invoiceClose"></button><div id="invoiceBody"></div>
+    <button id="invoiceOk"></button><button id="invoiceDownload"></button>
+  </div>
+</body></html>`;
+
+const APP_GLOBALS = [
+  'STATE', 'navigate', 'save', 'createUser', 'signIn', 'currentPath', 'hideModal', 'removeVehicleFlow', 'showInvoice',
+  'printTicket', 'exportCSV', 'readHistoryFile', 'classifyImport',
+];
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function loadApp() {
+  const dom = new JSDOM(SHELL, { url: 'http://localhost/#/', runScripts: 'outside-only', pretendToBeVisual: true });
+  const w = dom.window;
+  Object.assign(w, { indexedDB, IDBKeyRange, structuredClone, TextEncoder, TextDecoder });
+  if (!w.crypto.subtle) Object.defineProperty(w.crypto, 'subtle', { value: webcrypto.subtle });
+  w.HTMLCanvasElement.prototype.getContext = () => null;
+  w.print = () => {};
+  w.blobs = [];
+  w.URL.createObjectURL = blob => { w.blobs.push(blob); return 'blob:test'; };
+  w.URL.revokeObjectURL = () => {};
+  w.HTMLAnchorElement.prototype.click = () => {};
+
+  const root = path.join(__dirname, '..', '..');
+  // one evaluation, so the app's top-level consts are in scope for the object handed back
+  const source = ['core.js', 'app.js'].map(file => fs.readFileSync(path.join(root, file), 'utf8'));
+  const app = w.eval(`${source.join('\n;\n')}\n;({ ${APP_GLOBALS.join(', ')} });`);
+  for (let i = 0; i < 100 && !w.document.querySelector('.page-title').textContent; i++) await tick(20);
+
+  await app.createUser('Admin', 'admin', '1234');
+  app.signIn(app.STATE.users[0]);
+  app.STATE.shifts.push({ id: 'S1', userId: app.STATE.users[0].id, userName: 'Admin', openedAt: Date.now() - 4 * 3600000, openingFloat: 500 });
+
+  // Show a route and let the hash change settle
+  const visit = async route => {
+    if (app.currentPath() === route.split('?')[0] && w.location.hash === `#${route}`) app.navigate(route.split('?')[0]);
+    else w.location.hash = `#${route}`;
+    await tick(30);
+  };
+  // let pending storage writes finish before the window goes away
+  const close = async () => { await tick(100); w.close(); };
+  return { window: w, document: w.document, app, visit, tick, close };
+}
+
+module.exports = { loadApp };
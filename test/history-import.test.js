@@ -0,0 +1,58 @@
+// History CSV export must read back as the same visits, whatever the locale
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app-dom.js');
+
+const HOUR = 3600000;
+const ENTRY = Date.UTC(2026, 9, 5, 9, 0, 12); // 5 October, so day and month cannot be swapped unnoticed
+
+let page;
+before(async () => {
+  page = await loadApp();
+  page.app.STATE.history.unshift({
+    id: 'H1', vehicleNumber: 'TN 38 AB 1234', owner: 'Asha, "A"', type: 'car', slotId: 3,
+    entryTime: ENTRY, exitTime: ENTRY + 2 * HOUR + 345, durationMs: 2 * HOUR + 345, fee: 120, feeLines: [],
+  });
+});
+after(() => page.close());
+
+const exported = async () => {
+  page.app.exportCSV();
+  return page.window.blobs.at(-1).text();
+};
+
+test('exported times are ISO 8601 and import as the same visit', async () => {
+  const csv = await exported();
+  assert.ok(csv.includes('"2026-10-05T09:00:12.000Z"'));
+  const [record] = page.app.readHistoryFile('history.csv', csv);
+  const [result] = page.app.classifyImport([record]);
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.visit.entryTime, ENTRY);
+  assert.equal(result.visit.owner, 'Asha, "A"');
+});
+
+test('locale-formatted times are refused instead of guessed', async () => {
+  const csv = (await exported()).replace('2026-10-05T09:00:12.000Z', '5/10/2026, 2:30:12 pm');
+  const [result] = page.app.classifyImport(page.app.readHistoryFile('history.csv', csv));
+  assert.equal(result.status, 'invalid');
+  assert.match(result.reason, /^Unreadable entry time/);
+});
+
+test('locale-formatted times from older exports import in the date order staff pick', async () => {
+  const csv = (await exported()).replace('2026-10-05T09:00:12.000Z', '5/10/2026, 2:30:12 pm').replace('2026-10-05T11:00:12.345Z', '5/10/2026, 16:30:12');
+  const records = page.app.readHistoryFile('history.csv', csv);
+  const [dayFirst] = page.app.classifyImport(records, { dateOrder: 'dmy' });
+  assert.equal(dayFirst.visit.entryTime, new Date(2026, 9, 5, 14, 30, 12).getTime());
+  const [monthFirst] = page.app.classifyImport(records, { dateOrder: 'mdy' });
+  assert.equal(monthFirst.visit.entryTime, new Date(2026, 4, 10, 14, 30, 12).getTime());
+  assert.equal(monthFirst.visit.exitTime, new Date(2026, 4, 10, 16, 30, 12).getTime());
+  const [rolledOver] = page.app.classifyImport(page.app.readHistoryFile('history.csv', csv.replaceAll('5/10/2026', '31/4/2026')), { dateOrder: 'dmy' });
+  assert.equal(rolledOver.status, 'invalid');
+});
+
+test('JSON history keeps epoch times', () => {
+  const json = JSON.stringify([{ vehicleNumber: 'KA 01 AB 1', type: 'bike', slotId: 1, entryTime: ENTRY, exitTime: ENTRY + HOUR, fee: 70 }]);
+  const [result] = page.app.classifyImport(page.app.readHistoryFile('history.json', json));
+  assert.equal(result.status, 'new');
+  assert.equal(result.visit.exitTime, ENTRY + HOUR);
+});
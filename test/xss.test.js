@@ -0,0 +1,99 @@
+// Stored values must come out of every view as text, never as markup
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app-dom.js');
+
+const OWNER = '<img src=x onerror="window.pwned=1">';
+const PLATE = '"><svg onload="window.pwned=1"></svg>';
+const HOUR = 3600000;
+
+let page;
+
+before(async () => {
+  page = await loadApp();
+  const { STATE } = page.app;
+  const entryTime = Date.now() - 2 * HOUR;
+  Object.assign(STATE.slots[0], {
+    occupied: true, vehicle: { number: PLATE, owner: OWNER, type: 'car' }, entryTime,
+    parkedBy: { id: 'U0', name: OWNER }, ticket: 'T<b>1</b>',
+  });
+  STATE.history.unshift({
+    id: 'H1', vehicleNumber: PLATE, owner: OWNER, type: 'car', slotId: 2, ticketId: 'T<b>0</b>',
+    entryTime: entryTime - 5 * HOUR, exitTime: entryTime - 3 * HOUR, durationMs: 2 * HOUR, fee: 120,
+    feeLines: [{ label: OWNER, amount: 120 }], entryBy: null, exitBy: { id: 'U0', name: OWNER },
+    invoice: { no: 'INV/2026/00001', issuedAt: entryTime - 3 * HOUR, taxable: 101.69, taxes: [{ name: 'CGST', rate: 9, amount: 9.15 }, { name: 'SGST', rate: 9, amount: 9.16 }], total: 120, status: 'issued', audit: [] },
+  });
+  STATE.watchlist.push({ id: 'W1', vehicleNumber: PLATE, kind: 'vip', reason: OWNER, expiresAt: Date.now() + 24 * HOUR, addedAt: Date.now(), addedBy: { id: 'U0', name: OWNER } });
+  STATE.config.lot.name = OWNER;
+  page.app.save('update');
+  await page.tick(50);
+});
+
+after(() => page.close());
+
+// Nothing built from the payloads: no injected elements, no event handler attributes, no script run
+const assertInert = where => {
+  const { document, window } = page;
+  assert.equal(document.querySelectorAll('img, script').length, 0, `${where}: injected element`);
+  assert.equal(document.querySelectorAll('svg[onload]').length, 0, `${where}: injected svg`);
+  for (const el of document.querySelectorAll('*')) {
+    for (const attr of el.attributes) assert.ok(!/^on/i.test(attr.name), `${where}: ${el.tagName} has ${attr.name}`);
+  }
+  assert.equal(window.pwned, undefined, `${where}: payload ran`);
+};
+const textOf = selector => page.document.querySelector(selector).textContent;
+
+for (const route of ['/dashboard', '/history', '/vehicle?number=' + encodeURIComponent(PLATE), '/watchlist', '/exit', '/audit']) {
+  test(`route ${route} shows stored values as text`, async () => {
+    await page.visit(route);
+    assertInert(route);
+  });
+}
+
+test('dashboard card and slot details modal', async () => {
+  await page.visit('/dashboard');
+  assert.ok(textOf('#slot-1').includes(PLATE));
+  page.document.querySelector('.btn[data-action="details"][data-id="1"]').click();
+  assert.ok(textOf('#modalBody').includes(OWNER));
+  assertInert('slot details');
+  page.app.hideModal();
+});
+
+test('history table', async () => {
+  await page.visit('/history');
+  assert.ok(textOf('#view').includes(OWNER));
+  assertInert('history');
+});
+
+test('remove vehicle confirmation', async () => {
+  await page.visit('/dashboard');
+  page.app.removeVehicleFlow(1);
+  assert.ok(textOf('#modalBody').includes(OWNER));
+  assert.ok(textOf('#modalBody').includes('T<b>1</b>'));
+  assertInert('remove vehicle');
+  page.app.hideModal();
+});
+
+test('invoice', () => {
+  page.app.showInvoice(page.app.STATE.history[0]);
+  assert.ok(textOf('#invoiceBody').includes(PLATE));
+  assert.ok(textOf('#invoiceBody').includes(OWNER));
+  assertInert('invoice');
+  page.document.querySelector('#invoice').classList.add('hidden');
+});
+
+test('printed ticket', () => {
+  page.app.printTicket(page.app.STATE.slots[0]);
+  assert.ok(textOf('#printArea').includes(OWNER));
+  assert.ok(textOf('#printArea').includes(PLATE));
+  assertInert('ticket');
+});
+
+test('ticket scanned at the exit screen', async () => {
+  await page.visit('/exit');
+  page.document.querySelector('#ticketId').value = 'T<b>1</b>';
+  page.document.querySelector('#ticketForm').dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+  assert.equal(textOf('#modalTitle'), 'Remove vehicle?');
+  assertInert('exit screen');
+  page.app.hideModal();
+});